@@ -0,0 +1,85 @@
+/// Emal – Acquire and process scientific data with ease
+/// acquisition.js – Ingestion of readings from a data source.
+///
+/// Copyright (C) 2023 Titouan (Stalone) S.
+/// This program is free software: you can redistribute it and/or modify it
+/// under the terms of the GNU Affero General Public License as published by
+/// the Free Software Foundation, version 3.
+///
+/// A source is any async iterable of readings, such as an async generator
+/// or a Node stream in object mode. Each reading is an object associating
+/// names of user columns with values, as accepted by `addData`.
+/// Readings are stamped with the time elapsed since the start of the
+/// acquisition, and added to the manager in batches: each batch is a
+/// single operation of the history. The next readings are only pulled
+/// from the source once a batch is added, which gives back-pressure to
+/// sources able to wait. Readings always go to the dataset selected when
+/// the acquisition started, even if another one is selected meanwhile.
+
+import { EmalNumber } from "./number.js";
+import { Quantity } from "./quantity.js";
+import { Unit } from "./unit.js";
+
+const EACQUISITION_DEFAULT_TIME_COLUMN = "t";
+const EACQUISITION_DEFAULT_BATCH_SIZE = 10;
+
+// Acquire readings from a source until it ends. Options:
+// - timeColumn: name of the column holding acquisition times, "t" by
+//   default; it is created (in seconds) if needed;
+// - batchSize: number of readings added at once, 10 by default;
+// - clock: function giving the current time in milliseconds, `Date.now`
+//   by default;
+// - onBatch: function called after each batch with the acquisition
+//   progress; when it returns a promise, the acquisition waits for it;
+// - signal: `AbortSignal` stopping the acquisition; readings already
+//   pulled from the source are still added.
+// Resolves with the number of acquired rows and batches.
+export async function acquire(manager, source, options = {}) {
+	const timeColumn = options.timeColumn || EACQUISITION_DEFAULT_TIME_COLUMN;
+	const batchSize = options.batchSize || EACQUISITION_DEFAULT_BATCH_SIZE;
+	const clock = options.clock || Date.now;
+	const onBatch = options.onBatch || (() => {});
+
+	const datasetName = manager.dataset.name;
+	const column = manager.getColumn(timeColumn);
+
+	if(!column) {
+		manager.addUserColumn(timeColumn, "s");
+	} else if(column.isComputed) {
+		throw new Error(`Column "${timeColumn}" is computed and cannot hold acquisition times`);
+	}
+
+	const second = Unit.fromString("s");
+	const startTime = clock();
+	const progress = { rowCount: 0, batchCount: 0 };
+	let batch = new Array();
+
+	const flush = async () => {
+		if(batch.length === 0) return;
+
+		const readings = batch;
+		batch = new Array();
+
+		manager.withDataset(datasetName, () => manager.transaction(() => {
+			readings.forEach(reading => manager.addData(reading));
+		}, `Acquire ${readings.length} row(s)`));
+
+		progress.rowCount += readings.length;
+		progress.batchCount++;
+
+		await onBatch(Object.assign({}, progress));
+	};
+
+	for await (const reading of source) {
+		// Times are given in milliseconds, hence three decimals in seconds
+		const elapsed = new EmalNumber(BigInt(Math.round(clock() - startTime)), 3n);
+		batch.push(Object.assign({ [timeColumn]: new Quantity(elapsed, second) }, reading));
+
+		if(batch.length >= batchSize) await flush();
+		if(options.signal && options.signal.aborted) break;
+	}
+
+	await flush();
+
+	return progress;
+}
@@ -0,0 +1,88 @@
+import { Readable } from "node:stream";
+import { EmalManager } from "./index.js";
+import { EmalNumber } from "./number.js";
+
+async function* readings(values) {
+	for(const value of values) {
+		yield { V: EmalNumber.fromString(value) };
+	}
+}
+
+function fakeClock(step) {
+	let now = 1000;
+
+	return () => {
+		const time = now;
+		now += step;
+		return time;
+	};
+}
+
+test("acquires readings with timestamps", async () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addComputedColumn("Q", "V / t");
+
+	const report = await app.acquire(readings(["1", "2", "3"]), { clock: fakeClock(250) });
+
+	expect(report).toEqual({ rowCount: 3, batchCount: 1 });
+	expect(app.getColumn("t").unit.toString()).toEqual("s");
+	expect(app.rows.map(row => row.t.toString())).toEqual(["2,50e-1", "5,00e-1", "7,50e-1"]);
+	expect(app.rows[1].Q.toString()).toEqual("4,00");
+});
+
+test("acquires in batches and waits for consumers", async () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("time", "ms");
+	const batches = new Array();
+
+	const report = await app.acquire(readings(["1", "2", "3", "4", "5"]), {
+		timeColumn: "time",
+		batchSize: 2,
+		clock: fakeClock(20),
+		onBatch: async progress => {
+			batches.push(Object.assign({ rows: app.rows.length }, progress));
+			await new Promise(resolve => setTimeout(resolve, 1));
+		},
+	});
+
+	expect(report).toEqual({ rowCount: 5, batchCount: 3 });
+	expect(batches.map(batch => batch.rows)).toEqual([2, 4, 5]);
+	expect(app.rows[0].time.toString()).toEqual("2,00e1");
+
+	// Each batch is undone at once
+	app.undo();
+	expect(app.rows.length).toEqual(4);
+});
+
+test("acquires from streams until aborted", async () => {
+	const app = new EmalManager();
+	const controller = new AbortController();
+	const stream = Readable.from([{ V: "1" }, { V: "2" }, { V: "3" }]);
+	app.addUserColumn("V", "mL");
+
+	const report = await app.acquire(stream, {
+		batchSize: 1,
+		signal: controller.signal,
+		onBatch: () => controller.abort(),
+	});
+
+	expect(report.rowCount).toEqual(1);
+	expect(app.rows[0].V.toString()).toEqual("1,00");
+});
+
+test("acquires into the dataset selected at start", async () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addDataset("other");
+
+	await app.acquire(readings(["1", "2", "3"]), {
+		batchSize: 1,
+		onBatch: () => app.useDataset("other"),
+	});
+
+	expect(app.dataset.name).toEqual("other");
+	expect(app.rows.length).toEqual(0);
+	expect(app.withDataset("main", () => app.rows.length)).toEqual(3);
+});
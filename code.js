@@ -6,27 +6,67 @@
 /// under the terms of the GNU Affero General Public License as published by
 /// the Free Software Foundation, version 3.
 ///
-/// The code lexer is a very simple state machine running on each line of
-/// the user code. Each line expects a strict order: keyword, variable,
-/// potential unit, equal sign and value or expression. Invalid lines are
-/// discarded.
+/// User code is first split into statements: each line holds a statement,
+/// unless it ends with a backslash, which continues the statement on the
+/// next line. Several statements can also be written on one line,
+/// separated by semicolons outside of brackets (where they separate
+/// function arguments). Comments start with `#` and last until the
+/// end of the line. Indentation and blank lines are ignored.
+/// The code lexer is a very simple state machine running on each
+/// statement. Each statement expects a strict order: keyword, variable,
+/// potential unit, equal sign and value or expression. Invalid statements
+/// are discarded, and reported as diagnostics which locate the problem.
+/// Four keywords are known:
+/// - `let v_m/s = d / t` declares a variable computed from an expression;
+/// - `const g_m/s^2 = 9.81 ± 0.01` declares a constant, with an optional
+///   uncertainty (also written `+-`);
+/// - `fit a, b = linear(x, y)` fits a model of fit.js to data, declaring
+///   its parameters (with their uncertainties), along with `R2` and `chi2`
+///   which hold the coefficient of determination and the chi-squared of
+///   the fit;
+/// - `fn A(c, l) = eps * c * l` declares a function, which can be called
+///   by the next lines. Its expression can use the variables and functions
+///   declared before it.
+/// Data variables are arrays of values, on which expressions are computed
+/// element by element.
+/// Units are optional. Values are handled as quantities, so that the units
+/// declared on `let` lines are checked against the units computed from
+/// their expressions.
+/// Code can also be applied to a manager, describing the computed columns
+/// and the constants of an experiment.
 
 import { StateMachine } from "./stateMachine.js";
-import { Expression } from "./expression.js";
-import { isWhitespace } from "./matchers.js";
+import { Expression, ExpressionFunction, isBuiltinFunction } from "./expression.js";
+import { FitBuilder, parameterUnits } from "./fit.js";
+import { isWhitespace, isOpeningBracket, isClosingBracket } from "./matchers.js";
+import { isMissing } from "./missing.js";
+import { EmalNumber } from "./number.js";
+import { Quantity } from "./quantity.js";
+import { UncertainValue } from "./uncertainty.js";
+import { Unit } from "./unit.js";
 
 const VARIABLE_KW = "let";
+const CONSTANT_KW = "const";
+const FIT_KW = "fit";
+const FUNCTION_KW = "fn";
 
+// Variables declared by fit lines along with the parameters
+const FIT_R_SQUARED = "R2";
+const FIT_CHI_SQUARED = "chi2";
+
+// Tokens record their column (from 1) for diagnostics
 function start(charCode) {
-	// Eat leading spaces
+	// Eat leading spaces, blank lines are ignored
 	if(isWhitespace(charCode)) return start;
+	if(isNaN(charCode)) return this.end(charCode);
 
-	this.token({}, "keyword");
+	this.token({ column: this.position() + 1 }, "keyword");
 	return this.keyword(charCode);
 }
 
 function keyword(charCode) {
 	if(isWhitespace(charCode)) return this.afterKeyword(charCode);
+	if(isNaN(charCode)) return this.nok("expected variable name");
 
 	this.eat(charCode);
 	return keyword;
@@ -34,8 +74,10 @@ function keyword(charCode) {
 
 function afterKeyword(charCode) {
 	if(isWhitespace(charCode)) return afterKeyword;
+	// 61 = "="
+	if(isNaN(charCode) || charCode === 61) return this.nok("expected variable name");
 
-	this.token({}, "variable");
+	this.token({ column: this.position() + 1 }, "variable");
 	return this.variable(charCode);
 }
 
@@ -43,9 +85,20 @@ function variable(charCode) {
 	// 61 = "="
 	if(charCode === 61) return this.equalSign(charCode); 
 	if(isWhitespace(charCode)) return this.beforeEqual(charCode);
+	if(isNaN(charCode)) return this.nok("expected '='");
+	// 44 = ",", separating variables of fit lines
+	if(charCode === 44) {
+		this.eat(charCode);
+		return afterComma;
+	}
+	// 40 = "(", starting parameters of functions
+	if(charCode === 40) {
+		this.eat(charCode);
+		return parameters;
+	}
 	// 95 = "_"
 	if(charCode === 95) {
-		this.token({}, "unit");
+		this.token({ column: this.position() + 2 }, "unit");
 		return unit;
 	}
 
@@ -53,31 +106,47 @@ function variable(charCode) {
 	return variable;
 }
 
+function afterComma(charCode) {
+	if(isWhitespace(charCode)) return afterComma;
+
+	return this.variable(charCode);
+}
+
+function parameters(charCode) {
+	if(isNaN(charCode)) return this.nok("expected ')'");
+
+	this.eat(charCode);
+	// 41 = ")"
+	return charCode === 41 ? variable : parameters;
+}
+
 function unit(charCode) {
 	// 61 = "="
 	if(charCode === 61) return this.equalSign(charCode); 
 	if(isWhitespace(charCode)) return this.beforeEqual(charCode);
+	if(isNaN(charCode)) return this.nok("expected '='");
 
 	this.eat(charCode);
 	return unit;
 }
 
 function beforeEqual(charCode) {
-	if(charCode === 61) return this.equalSign(charCode);
+	if(isWhitespace(charCode)) return beforeEqual;
 
-	return beforeEqual;
+	return this.equalSign(charCode);
 }
 
 function equalSign(charCode) {
-	if(charCode !== 61) return this.nok(charCode);
+	if(charCode !== 61) return this.nok("expected '='");
 
 	return afterEqual;
 }
 
 function afterEqual(charCode) {
 	if(isWhitespace(charCode)) return afterEqual;
+	if(isNaN(charCode)) return this.nok("expected expression");
 
-	this.token({}, "expression");
+	this.token({ column: this.position() + 1 }, "expression");
 	return this.expression(charCode);
 }
 
@@ -88,15 +157,13 @@ function expression(charCode) {
 	return expression;
 }
 
-function toValue(token) {
-	return token.value;
-}
-
 const lineSm = new StateMachine("start", {
 	start,
 	keyword,
 	afterKeyword,
 	variable,
+	afterComma,
+	parameters,
 	unit,
 	beforeEqual,
 	equalSign,
@@ -104,38 +171,702 @@ const lineSm = new StateMachine("start", {
 	expression,
 }, {
 	type: "parallel",
-	transformers: {
-		keyword: toValue,
-		variable: toValue,
-		unit: toValue,
-		expression: tok => new Expression(tok.value),
-	},
 });
 
+// Constant values are numbers, followed by an optional uncertainty
+function parseConstantValue(valueStr) {
+	const [value, absU] = valueStr.split(/\s*(?:±|\+-)\s*/);
+
+	if(typeof absU === "undefined") return EmalNumber.fromString(value.trim());
+
+	return UncertainValue.fromString(value.trim(), absU.trim());
+}
+
+// Split code into statements and comments. The text of statements comes
+// with the position (line and column, from 1) of each of its characters
+// in the code.
+function splitStatements(codeStr) {
+	const statements = new Array();
+	const comments = new Array();
+	let statement = { text: "", positions: [] };
+	let depth = 0;
+	let line = 1;
+	let column = 1;
+
+	const endStatement = () => {
+		const start = statement.text.search(/\S/);
+
+		if(start !== -1) {
+			statement.line = statement.positions[start].line;
+			statements.push(statement);
+		}
+
+		statement = { text: "", positions: [] };
+		depth = 0;
+	};
+
+	const lineEndFrom = index => {
+		const end = codeStr.indexOf("\n", index);
+		return end === -1 ? codeStr.length : end;
+	};
+
+	// A backslash continues the statement when it ends the line
+	const isContinuation = index => {
+		const lineEnd = lineEndFrom(index);
+		return lineEnd < codeStr.length && codeStr.slice(index + 1, lineEnd).trim() === "";
+	};
+
+	const append = char => {
+		statement.text += char;
+		statement.positions.push({ line, column });
+	};
+
+	for(let i = 0; i < codeStr.length; i++) {
+		const char = codeStr[i];
+
+		if(char === "#") {
+			const lineEnd = lineEndFrom(i);
+
+			comments.push({ line, column, text: codeStr.slice(i + 1, lineEnd).trim() });
+			column += lineEnd - i;
+			i = lineEnd - 1;
+		} else if(char === "\\" && isContinuation(i)) {
+			// Continued statements are joined by a space
+			append(" ");
+			line++;
+			column = 1;
+			i = lineEndFrom(i);
+		} else if(char === "\n") {
+			endStatement();
+			line++;
+			column = 1;
+		} else if(char === ";" && depth === 0) {
+			endStatement();
+			column++;
+		} else {
+			if(isOpeningBracket(char.charCodeAt(0))) depth++;
+			if(isClosingBracket(char.charCodeAt(0))) depth--;
+
+			append(char);
+			column++;
+		}
+	}
+
+	endStatement();
+
+	return { statements, comments };
+}
+
+// Locate a diagnostic given with a column in the text of a statement.
+// Positions after the end of the statement follow its last character.
+function diagnostic(statement, column, message) {
+	const { positions } = statement;
+	const last = positions[positions.length - 1];
+	const location = column <= positions.length
+		? positions[column - 1]
+		: { line: last.line, column: last.column + column - positions.length };
+
+	return { line: location.line, column: location.column, message };
+}
+
+// Names of variables must be read as such in expressions
+function isVariableName(name) {
+	const { tokens, error } = new Expression(name);
+	return !error && tokens.length === 1 && tokens[0].type === "variable" && tokens[0].value === name;
+}
+
+// Parse the expression of a statement, reporting where it is invalid
+function parseExpression(statement, expression) {
+	const result = new Expression(expression.value);
+
+	if(result.error) {
+		return { diagnostic: diagnostic(statement, expression.column + result.error.position, result.error.message) };
+	}
+
+	return { expression: result };
+}
+
+// Build a line from the tokens of a statement. Lines are numbered from 1.
+// Invalid statements give a diagnostic instead.
+function parseLine(tokens, statement) {
+	const { keyword, variable, unit, expression } = tokens;
+
+	if(![VARIABLE_KW, CONSTANT_KW, FIT_KW, FUNCTION_KW].includes(keyword.value)) {
+		return { diagnostic: diagnostic(statement, keyword.column, `unknown keyword '${keyword.value}'`) };
+	}
+
+	if(variable.value.split(",").includes("")) {
+		return { diagnostic: diagnostic(statement, variable.column, "expected variable name") };
+	}
+
+	if(keyword.value === FIT_KW) return parseFitLine(tokens, statement);
+	if(keyword.value === FUNCTION_KW) return parseFunctionLine(tokens, statement);
+
+	if(variable.value.includes(",")) {
+		return { diagnostic: diagnostic(statement, variable.column, "only fit lines declare several variables") };
+	}
+
+	if(!isVariableName(variable.value)) {
+		return { diagnostic: diagnostic(statement, variable.column, `invalid variable name '${variable.value}'`) };
+	}
+
+	const line = {
+		line: statement.line,
+		text: statement.text,
+		keyword: keyword.value,
+		variable: variable.value,
+	};
+
+	if(unit) {
+		try {
+			line.unit = Unit.fromString(unit.value);
+		} catch(e) {
+			return { diagnostic: diagnostic(statement, unit.column, `invalid unit '${unit.value}'`) };
+		}
+	}
+
+	if(line.keyword === CONSTANT_KW) {
+		try {
+			line.value = parseConstantValue(expression.value);
+		} catch(e) {
+			return { diagnostic: diagnostic(statement, expression.column, `invalid value '${expression.value.trim()}'`) };
+		}
+	} else {
+		const { expression: result, diagnostic: expressionDiagnostic } = parseExpression(statement, expression);
+		if(expressionDiagnostic) return { diagnostic: expressionDiagnostic };
+
+		line.expression = result;
+	}
+
+	return { line };
+}
+
+// Fit lines call a model on two variables, such as `linear(x, y)`.
+// Units of parameters follow from the units of the data.
+function parseFitLine(tokens, statement) {
+	const { variable, unit, expression } = tokens;
+
+	if(unit) {
+		return { diagnostic: diagnostic(statement, unit.column, "units of fit parameters cannot be declared") };
+	}
+
+	const match = expression.value.match(/^(\w+)\s*\(\s*(\w+)\s*,\s*(\w+)\s*\)\s*$/);
+
+	if(!match) {
+		return { diagnostic: diagnostic(statement, expression.column, "expected model(x, y)") };
+	}
+
+	const [, model, x, y] = match;
+	const line = {
+		line: statement.line,
+		text: statement.text,
+		keyword: FIT_KW,
+		variables: variable.value.split(","),
+		model,
+		x,
+		y,
+	};
+
+	let parameterCount;
+
+	try {
+		parameterCount = new FitBuilder(model).parameterCount;
+	} catch(e) {
+		return { diagnostic: diagnostic(statement, expression.column, `unknown model '${model}'`) };
+	}
+
+	const invalidName = line.variables.find(name => !isVariableName(name));
+
+	if(typeof invalidName !== "undefined") {
+		return { diagnostic: diagnostic(statement, variable.column, `invalid variable name '${invalidName}'`) };
+	}
+
+	if(line.variables.length !== parameterCount) {
+		return { diagnostic: diagnostic(statement, variable.column, `${model} model has ${parameterCount} parameter(s)`) };
+	}
+
+	return { line };
+}
+
+// Function lines give the names of their parameters, such as `A(c, l)`
+function parseFunctionLine(tokens, statement) {
+	const { variable, unit, expression } = tokens;
+
+	if(unit) {
+		return { diagnostic: diagnostic(statement, unit.column, "units of functions cannot be declared") };
+	}
+
+	const match = variable.value.match(/^(\w+)\(([^)]*)\)$/);
+	const parameters = match ? match[2].split(/[,;]/).map(name => name.trim()) : [];
+
+	if(!match || parameters.some(name => !/^\w+$/.test(name))) {
+		return { diagnostic: diagnostic(statement, variable.column, "expected name(parameters)") };
+	}
+
+	if(isBuiltinFunction(match[1])) {
+		return { diagnostic: diagnostic(statement, variable.column, `cannot redefine built-in function '${match[1]}'`) };
+	}
+
+	if(new Set(parameters).size !== parameters.length) {
+		return { diagnostic: diagnostic(statement, variable.column, "parameters must have different names") };
+	}
+
+	const { expression: result, diagnostic: expressionDiagnostic } = parseExpression(statement, expression);
+	if(expressionDiagnostic) return { diagnostic: expressionDiagnostic };
+
+	return {
+		line: {
+			line: statement.line,
+			text: statement.text,
+			keyword: FUNCTION_KW,
+			variable: match[1],
+			parameters,
+			expression: result,
+		},
+	};
+}
+
+// Variables used by a line
+function usedVariables(line) {
+	switch(line.keyword) {
+		case VARIABLE_KW:
+		case FUNCTION_KW:
+			return Array.from(new Set(line.expression.tokens
+				.filter(tok => tok.type === "variable" && !(line.parameters || []).includes(tok.value))
+				.map(tok => tok.value)));
+		case FIT_KW:
+			return [line.x, line.y];
+		default:
+			return [];
+	}
+}
+
+// User-defined functions called by a line
+function usedFunctions(line) {
+	if(!line.expression) return [];
+
+	return Array.from(new Set(line.expression.tokens
+		.filter(tok => tok.type === "function" && !isBuiltinFunction(tok.value))
+		.map(tok => tok.value)));
+}
+
+// Variables declared by a line
+function declaredVariables(line) {
+	if(line.keyword === FIT_KW) return line.variables.concat([FIT_R_SQUARED, FIT_CHI_SQUARED]);
+	if(line.keyword === FUNCTION_KW) return [];
+
+	return [line.variable];
+}
+
+// Evaluate an expression, element by element when some of its variables
+// are arrays of values
+function evaluateElementwise(expression, data, variableNames, functions) {
+	const arrayNames = variableNames.filter(name => Array.isArray(data[name]));
+	if(arrayNames.length === 0) return expression.evaluate(data, functions);
+
+	const length = data[arrayNames[0]].length;
+	const otherName = arrayNames.find(name => data[name].length !== length);
+
+	if(otherName) {
+		throw new Error(`Variables ${arrayNames[0]} and ${otherName} have different lengths`);
+	}
+
+	return Array.from({ length }, (_, i) => {
+		const elementData = Object.assign({}, data);
+		arrayNames.forEach(name => elementData[name] = data[name][i]);
+
+		return expression.evaluate(elementData, functions);
+	});
+}
+
+// Fit a model to arrays of quantities. Points with a missing value are
+// skipped. Points are weighted by the uncertainties of y, or equally when
+// y has none.
+function fitData(line, data) {
+	const { model, x: xName, y: yName } = line;
+
+	[xName, yName].forEach(name => {
+		if(!Array.isArray(data[name])) throw new Error(`Cannot fit to "${name}", which is not an array of values`);
+	});
+
+	if(data[xName].length !== data[yName].length) {
+		throw new Error(`Variables ${xName} and ${yName} have different lengths`);
+	}
+
+	const points = data[xName]
+		.map((x, i) => [x, data[yName][i]])
+		.filter(([x, y]) => !isMissing(x) && !isMissing(y));
+	const fitBuilder = new FitBuilder(model);
+
+	if(points.length <= fitBuilder.parameterCount) {
+		throw new Error(`Cannot fit ${model} model to ${points.length} point(s)`);
+	}
+
+	// Values are expressed in the unit of the first point
+	const xUnit = points[0][0].unit;
+	const yUnit = points[0][1].unit;
+	const xValues = points.map(([x]) => x.convertTo(xUnit).value);
+	const yValues = points.map(([, y]) => y.convertTo(yUnit).value);
+
+	const valueOf = value => (value instanceof UncertainValue ? value.value : value).toNumber();
+	const uncertainCount = yValues.filter(y => y instanceof UncertainValue).length;
+
+	if(uncertainCount > 0 && uncertainCount < points.length) {
+		throw new Error(`Variable ${yName} has values without uncertainty`);
+	}
+
+	const uys = yValues.map(y => uncertainCount > 0 ? y.absU.toNumber() : 1);
+	const { result, uncertainty, rSquared, chiSquared } = fitBuilder.solve(xValues.map(valueOf), yValues.map(valueOf), uys);
+	const units = parameterUnits(model, xUnit, yUnit);
+	const dimensionless = new Unit(1, 1, 1);
+
+	const fitted = {
+		[FIT_R_SQUARED]: new Quantity(EmalNumber.fromNumber(rSquared), dimensionless),
+		[FIT_CHI_SQUARED]: new Quantity(EmalNumber.fromNumber(chiSquared), dimensionless),
+	};
+
+	line.variables.forEach((name, i) => {
+		const value = new UncertainValue(EmalNumber.fromNumber(result[i]), EmalNumber.fromNumber(uncertainty[i]));
+		fitted[name] = new Quantity(value, units[i]);
+	});
+
+	return fitted;
+}
+
+// Convert user data values to quantities, keeping arrays of values
+function toQuantity(value) {
+	if(Array.isArray(value)) return value.map(toQuantity);
+
+	return isMissing(value) ? value : Quantity.from(value);
+}
+
+// Column of a variable or function used by a line, after its equal sign
+function variableColumn(line, name) {
+	const start = line.text.indexOf("=") + 1;
+	const index = line.text.slice(start).search(new RegExp(`(?<![\\w.])${name}(?![\\w.])`));
+
+	return start + Math.max(index, 0) + 1;
+}
+
+// Check the unit computed for a line against the declared one
+function checkDeclaredUnit(line, unit) {
+	if(line.unit && !Unit.sameDimension(unit, line.unit)) {
+		throw new Error(`"${line.variable}" is declared in ${line.unit.toString()} but computed in ${unit.toString()}`);
+	}
+}
+
+// Statement node of the program built from a line. Each statement has an
+// expression node (see `Expression.toTree`): the value of constants is a
+// number, and fits call their model on the fitted variables.
+function statementNode(line) {
+	switch(line.keyword) {
+		case VARIABLE_KW:
+			return { type: VARIABLE_KW, line: line.line, name: line.variable, unit: line.unit, expression: line.expression.toTree() };
+		case CONSTANT_KW:
+			return { type: CONSTANT_KW, line: line.line, name: line.variable, unit: line.unit, expression: { type: "number", value: line.value } };
+		case FIT_KW:
+			return {
+				type: FIT_KW,
+				line: line.line,
+				names: line.variables,
+				expression: {
+					type: "call",
+					name: line.model,
+					arguments: [line.x, line.y].map(name => ({ type: "variable", name })),
+				},
+			};
+		case FUNCTION_KW:
+			return { type: FUNCTION_KW, line: line.line, name: line.variable, parameters: line.parameters, expression: line.expression.toTree() };
+	}
+}
+
 export class CodeBlock {
-	constructor(codeStr) {
-		this.lines = codeStr.split("\n").reduce((acc, line) => {
-			const runnerOutput = lineSm.run(line).transform();
-			if(!runnerOutput.hasThrown()) acc.push(runnerOutput.tokens);
+	// Invalid lines are discarded and reported in `diagnostics`, each one
+	// giving a line, a column and a message. Options:
+	// - variables: names of user data variables; when given, lines using
+	//   undefined variables are reported too;
+	// - strict: throw on the first diagnostic instead.
+	// The program gives the statements, in the order of the code, as
+	// nodes typed by their keyword, and the comments.
+	constructor(codeStr, options = {}) {
+		const { statements, comments } = splitStatements(codeStr);
+		const statementOf = new Map();
+
+		this.diagnostics = new Array();
+
+		this.lines = statements.reduce((acc, statement) => {
+			const runnerOutput = lineSm.run(statement.text);
+
+			if(runnerOutput.hasThrown()) {
+				const { position, message } = runnerOutput.error;
+				this.report(diagnostic(statement, position + 1, message), options);
+				return acc;
+			}
+
+			const { line, diagnostic: lineDiagnostic } = parseLine(runnerOutput.tokens, statement);
+
+			if(lineDiagnostic) {
+				this.report(lineDiagnostic, options);
+			} else {
+				statementOf.set(line, statement);
+				acc.push(line);
+			}
 
 			return acc;
 		}, []);
+
+		this.program = {
+			type: "program",
+			statements: this.lines.map(statementNode),
+			comments,
+		};
+
+		if(options.variables) this.checkVariables(options.variables, statementOf, options);
+	}
+
+	report(lineDiagnostic, options) {
+		if(options.strict) {
+			const { line, column, message } = lineDiagnostic;
+			throw new Error(`Line ${line}, column ${column}: ${message}`);
+		}
+
+		this.diagnostics.push(lineDiagnostic);
 	}
 
-	// For now, evaluation simply consists of evaluating the expression
-	// for each variable.
+	checkVariables(userVariables, statementOf, options) {
+		const knownNames = new Set(userVariables);
+		const knownFunctions = new Set();
+		const reportUndefined = (line, kind, name) => {
+			this.report(diagnostic(statementOf.get(line), variableColumn(line, name), `undefined ${kind} ${name}`), options);
+		};
+
+		this.lines.forEach(line => {
+			usedVariables(line)
+				.filter(name => !knownNames.has(name))
+				.forEach(name => reportUndefined(line, "variable", name));
+			usedFunctions(line)
+				.filter(name => !knownFunctions.has(name))
+				.forEach(name => reportUndefined(line, "function", name));
+
+			declaredVariables(line).forEach(name => knownNames.add(name));
+			if(line.keyword === FUNCTION_KW) knownFunctions.add(line.variable);
+		});
+
+		this.diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+	}
+
+	// Evaluate the expression of each variable. User data values can be
+	// quantities or arrays of quantities; other values are dimensionless.
+	// Generated values are quantities, converted to the declared unit of
+	// their line if any.
 	evaluate(userData) {
 		const generatedData = {};
+		const functions = {};
+		const quantities = Object.entries(userData).reduce((acc, [name, value]) => {
+			acc[name] = toQuantity(value);
+			return acc;
+		}, {});
+
+		this.lines.forEach(line => {
+			const data = Object.assign({}, quantities, generatedData);
+
+			try {
+				switch(line.keyword) {
+					case VARIABLE_KW:
+						const result = evaluateElementwise(line.expression, data, usedVariables(line), functions);
+						generatedData[line.variable] = Array.isArray(result)
+							? result.map(value => this.convertResult(line, value))
+							: this.convertResult(line, result);
+						break;
+					case FIT_KW:
+						Object.assign(generatedData, fitData(line, data));
+						break;
+					case CONSTANT_KW:
+						generatedData[line.variable] = new Quantity(line.value, line.unit || new Unit(1, 1, 1));
+						break;
+					case FUNCTION_KW:
+						functions[line.variable] = new ExpressionFunction(line.parameters, line.expression, data, Object.assign({}, functions));
+						break;
+				}
+			} catch(e) {
+				throw new Error(`Line ${line.line}: ${e.message}`);
+			}
+		});
+
+		return generatedData;
+	}
+
+	convertResult(line, result) {
+		if(isMissing(result)) return result;
+
+		result = Quantity.from(result);
+		checkDeclaredUnit(line, result.unit);
+
+		return line.unit ? result.convertTo(line.unit) : result;
+	}
+
+	// Check units without evaluating values: units of user variables are
+	// given as `Unit` objects or strings. Lines using a variable of unknown
+	// unit, directly or through a function, are not checked. Returns the
+	// mismatches, one per line.
+	checkUnits(userUnits = {}) {
+		const mismatches = new Array();
+		const functions = {};
+		const units = Object.entries(userUnits).reduce((acc, [name, unit]) => {
+			acc[name] = typeof unit === "string" ? Unit.fromString(unit) : unit;
+			return acc;
+		}, {});
+		const isResolved = line => usedVariables(line).every(name => units[name])
+			&& usedFunctions(line).every(name => name in functions);
 
 		this.lines.forEach(line => {
 			switch(line.keyword) {
 				case VARIABLE_KW:
-					const data = Object.assign({}, userData, generatedData);
-					generatedData[line.variable] = line.expression.evaluate(data);
+					if(!isResolved(line)) {
+						delete units[line.variable];
+						return;
+					}
+
+					try {
+						const unit = Unit.from(line.expression.evaluate(units, functions));
+						checkDeclaredUnit(line, unit);
+						units[line.variable] = line.unit || unit;
+					} catch(e) {
+						mismatches.push({ line: line.line, variable: line.variable, message: e.message });
+						units[line.variable] = line.unit;
+					}
+					break;
+				case CONSTANT_KW:
+					units[line.variable] = line.unit || new Unit(1, 1, 1);
+					break;
+				case FIT_KW:
+					const xUnit = units[line.x];
+					const yUnit = units[line.y];
+
+					declaredVariables(line).forEach(name => delete units[name]);
+					if(!xUnit || !yUnit) return;
+
+					parameterUnits(line.model, xUnit, yUnit).forEach((unit, i) => units[line.variables[i]] = unit);
+					units[FIT_R_SQUARED] = new Unit(1, 1, 1);
+					units[FIT_CHI_SQUARED] = new Unit(1, 1, 1);
+					break;
+				case FUNCTION_KW:
+					delete functions[line.variable];
+					if(!isResolved(line)) return;
+
+					functions[line.variable] = new ExpressionFunction(line.parameters, line.expression, Object.assign({}, units), Object.assign({}, functions));
 					break;
 			}
 		});
 
-		return generatedData;
+		return mismatches;
+	}
+}
+
+// Constants are only updated when their value changes
+function applyConstant(manager, line) {
+	const unitStr = line.unit ? line.unit.toString() : "1";
+	const constant = manager.getConstant(line.variable);
+
+	if(!constant) {
+		manager.addConstant(line.variable, unitStr, line.value);
+		return;
 	}
+
+	if(constant.unit.toString() !== unitStr) {
+		throw new Error(`Constant "${line.variable}" is already expressed in ${constant.unit.toString()}`);
+	}
+
+	const type = [constant.value, line.value].some(value => value instanceof UncertainValue) ? UncertainValue : EmalNumber;
+	if(!type.equals(constant.value, line.value)) manager.updateConstant(line.variable, line.value);
+}
+
+// Computed columns are only redefined when their expression or their
+// declared unit changes
+function applyVariable(manager, line, functions) {
+	const expressionStr = line.expression.inlineFunctions(functions).toString();
+	const unitStr = line.unit ? line.unit.toString() : undefined;
+	const column = manager.getColumn(line.variable);
+
+	if(!column) {
+		manager.addComputedColumn(line.variable, expressionStr, unitStr);
+		return;
+	}
+
+	const isUnchanged = column.isComputed
+		&& column.expression.toString() === expressionStr
+		&& (column.declaredUnit ? column.declaredUnit.toString() : undefined) === unitStr;
+
+	if(!isUnchanged) manager.redefineColumn(line.variable, expressionStr, unitStr);
+}
+
+// Fits are only added when their parameters are not already fitted the
+// same way
+function applyFit(manager, line) {
+	const isApplied = line.variables.every((name, parameter) => {
+		const constant = manager.getConstant(name);
+		if(!constant || !constant.source) return false;
+
+		const { type, dataset, columns, model } = constant.source;
+
+		return type === "fit" && dataset === manager.dataset.name && model === line.model
+			&& columns[0] === line.x && columns[1] === line.y && constant.source.parameter === parameter;
+	});
+
+	if(!isApplied) manager.addFitConstants(line.variables, line.x, line.y, line.model);
+}
+
+// Names used by a line must be columns of the current dataset or constants
+// of the manager, which include the ones declared by previous lines.
+// `R2` and `chi2` are not kept by fit constants.
+function checkAppliedNames(manager, line, functions) {
+	usedVariables(line)
+		.filter(name => !manager.getColumn(name) && !manager.getConstant(name))
+		.forEach(name => {
+			if([FIT_R_SQUARED, FIT_CHI_SQUARED].includes(name)) {
+				throw new Error(`${name} of fits is not available when applying code`);
+			}
+
+			throw new Error(`undefined variable ${name}`);
+		});
+
+	usedFunctions(line)
+		.filter(name => !(name in functions))
+		.forEach(name => {
+			throw new Error(`undefined function ${name}`);
+		});
+}
+
+// Apply a code block to the current dataset of a manager: `let` lines
+// become computed columns, expressed in their declared unit if any, `const`
+// lines become constants and `fit` lines become constants derived from
+// the columns they fit. Functions are inlined in the expressions calling
+// them, while `R2` and `chi2` are not available.
+// Applying the same code again leaves the manager unchanged, so that a
+// modified code can be applied again.
+export function applyCodeBlock(manager, codeBlock) {
+	const functions = {};
+
+	codeBlock.lines.forEach(line => {
+		try {
+			checkAppliedNames(manager, line, functions);
+
+			switch(line.keyword) {
+				case VARIABLE_KW:
+					applyVariable(manager, line, functions);
+					break;
+				case CONSTANT_KW:
+					applyConstant(manager, line);
+					break;
+				case FIT_KW:
+					applyFit(manager, line);
+					break;
+				case FUNCTION_KW:
+					functions[line.variable] = new ExpressionFunction(line.parameters, line.expression, {}, Object.assign({}, functions));
+					break;
+			}
+		} catch(e) {
+			throw new Error(`Line ${line.line}: ${e.message}`);
+		}
+	});
 }
@@ -1,5 +1,8 @@
 import { CodeBlock } from "./code.js";
 import { EmalNumber } from "./number.js";
+import { MISSING } from "./missing.js";
+import { Quantity } from "./quantity.js";
+import { Unit } from "./unit.js";
 
 test("parses code", () => {
 	const cb = new CodeBlock(`let a0 = 2
@@ -17,3 +20,278 @@ test("evaluates code", () => {
 	const data = { x: EmalNumber.fromString("1.2") };
 	expect(cb.evaluate(data).y.toString()).toEqual("6,00e-1");
 });
+
+test("declares constants with units and uncertainties", () => {
+	const cb = new CodeBlock(`const g_m/s/s = 9.81 ± 0.01
+	const n = 3
+	let h_m = g * t * t / 2`);
+
+	expect(cb.lines[0].unit.toString()).toEqual("m/s/s");
+	expect(cb.lines[0].value.absU.toString()).toEqual("1,00e-2");
+
+	const result = cb.evaluate({ t: Quantity.fromString("2 s") });
+	expect(result.g.toString()).toEqual("9,81 ± 1,00e-2 m/s/s");
+	expect(result.n.toString()).toEqual("3,00");
+	expect(result.h.unit.toString()).toEqual("m");
+	expect(result.h.value.value.toString()).toEqual("1,96e1");
+});
+
+test("declares units with powers", () => {
+	const cb = new CodeBlock(`const g_m/s^2 = 9.81 ± 0.01
+	let h_m = g * t^2 / 2`, { strict: true });
+
+	const result = cb.evaluate({ t: Quantity.fromString("2 s") });
+	expect(Unit.equals(result.g.unit, Unit.fromString("m/s/s"))).toBe(true);
+	expect(result.h.value.value.toString()).toEqual("1,96e1");
+});
+
+test("converts values to the declared unit", () => {
+	const cb = new CodeBlock(`let d_km = v * t`);
+	const result = cb.evaluate({ v: Quantity.fromString("20 m/s"), t: Quantity.fromString("100 s") });
+
+	expect(result.d.toString()).toEqual("2,00 km");
+});
+
+test("reports unit mismatches", () => {
+	const cb = new CodeBlock(`const t0_s = 1
+	let v_m/s = d / t
+	let a_m/s = v / (t - t0)
+	let b = d + t
+	let c = a * x`);
+
+	expect(() => cb.evaluate({ d: Quantity.fromString("3 m"), t: Quantity.fromString("2 s") }))
+		.toThrow("Line 3: \"a\" is declared in m/s but computed in m/(s·s)");
+	expect(cb.checkUnits({ d: "m", t: "s" })).toEqual([
+		{ line: 3, variable: "a", message: "\"a\" is declared in m/s but computed in m/(s·s)" },
+		{ line: 4, variable: "b", message: "Incompatible units m and s in \"d + t\"" },
+	]);
+	expect(cb.checkUnits({ d: "m", t: "m" })).toEqual([
+		{ line: 2, variable: "v", message: "\"v\" is declared in m/s but computed in 1" },
+		{ line: 3, variable: "a", message: "Incompatible units m and s in \"t - t0\"" },
+	]);
+});
+
+test("reports invalid lines", () => {
+	const cb = new CodeBlock(`let a0 = 2
+	let y x / a0
+
+	lett z = 3
+	const k_m = abc
+	let w_m// = 2
+	let v =`);
+
+	expect(cb.lines.map(line => line.variable)).toEqual(["a0"]);
+	expect(cb.diagnostics).toEqual([
+		{ line: 2, column: 8, message: "expected '='" },
+		{ line: 4, column: 2, message: "unknown keyword 'lett'" },
+		{ line: 5, column: 14, message: "invalid value 'abc'" },
+		{ line: 6, column: 8, message: "invalid unit 'm//'" },
+		{ line: 7, column: 9, message: "expected expression" },
+	]);
+});
+
+test("reports invalid expressions and names", () => {
+	const cb = new CodeBlock(`let y = a +
+	let y = )
+	let z = (a * 2
+	let f(x) = 2
+	const 2k = 3
+	fn g(x) = max(x 2)
+	let w = a-1`, { variables: ["a"] });
+
+	expect(cb.lines.map(line => line.variable)).toEqual(["w"]);
+	expect(cb.diagnostics).toEqual([
+		{ line: 1, column: 12, message: "expected operand" },
+		{ line: 2, column: 10, message: "expected operand" },
+		{ line: 3, column: 16, message: "expected ')'" },
+		{ line: 4, column: 6, message: "invalid variable name 'f(x)'" },
+		{ line: 5, column: 8, message: "invalid variable name '2k'" },
+		{ line: 6, column: 18, message: "expected operator" },
+	]);
+});
+
+test("reports undefined variables", () => {
+	const cb = new CodeBlock(`let y = x / a1
+	let a1 = 2
+	let z = y * a1 + x2`, { variables: ["x"] });
+
+	expect(cb.diagnostics).toEqual([
+		{ line: 1, column: 13, message: "undefined variable a1" },
+		{ line: 3, column: 19, message: "undefined variable x2" },
+	]);
+	expect(new CodeBlock("let y = x", { variables: ["x"] }).diagnostics).toEqual([]);
+});
+
+test("fails on the first invalid line in strict mode", () => {
+	expect(() => new CodeBlock(`let a0 = 2
+	let y x / a0`, { strict: true })).toThrow("Line 2, column 8: expected '='");
+	expect(() => new CodeBlock("let y = x / a1", { strict: true, variables: ["x"] }))
+		.toThrow("Line 1, column 13: undefined variable a1");
+});
+
+test("computes expressions on arrays of values", () => {
+	const cb = new CodeBlock(`const k_1/s = 2
+	let v_mL/s = k * V`);
+	const V = ["1", "2", "3"].map(v => Quantity.fromString(v, Unit.fromString("L")));
+	const result = cb.evaluate({ V: V.concat([MISSING]) });
+
+	expect(result.v.map(v => v.toString())).toEqual(["2,00e3 mL/s", "4,00e3 mL/s", "6,00e3 mL/s", "NaN"]);
+	expect(() => new CodeBlock("let w = V + W").evaluate({ V, W: V.slice(1) }))
+		.toThrow("Line 1: Variables V and W have different lengths");
+});
+
+test("fits models to data", () => {
+	const cb = new CodeBlock(`fit a, b = linear(t, V)
+	let Vfit_mL = a * t + b
+	let r = R2
+	fit V0 = constant(t, V)`);
+	const t = [1, 2, 3, 4, 5].map(v => Quantity.fromString(`${v} s`));
+	const V = ["3.1", "4.9", "7.2", "8.8", "11.1"].map(v => Quantity.fromString(`${v} mL`));
+
+	const result = cb.evaluate({ t: t.concat([MISSING]), V: V.concat([Quantity.fromString("13 mL")]) });
+
+	expect(result.a.unit.toString()).toEqual("mL/s");
+	expect(result.a.value.value.toNumber()).toBeCloseTo(1.99, 1);
+	expect(result.a.value.absU.toNumber()).toBeGreaterThan(0);
+	expect(result.b.unit.toString()).toEqual("mL");
+	expect(result.b.value.value.toNumber()).toBeCloseTo(1.05, 1);
+	expect(result.Vfit.slice(0, 5).map(v => v.value.value.toNumber())).toEqual(t.map((_, i) => expect.closeTo(3.04 + 1.99 * i, 1)));
+	expect(result.Vfit[5]).toBe(MISSING);
+	expect(result.r.value.toNumber()).toBeGreaterThan(0.99);
+	expect(result.chi2.value.toNumber()).toBeGreaterThan(0);
+	expect(result.V0.value.value.toNumber()).toBeCloseTo(7.02, 1);
+
+	expect(cb.checkUnits({ t: "s", V: "L" })).toEqual([]);
+	expect(() => cb.evaluate({ t, V: V.slice(0, 2) })).toThrow("Line 1: Variables t and V have different lengths");
+	expect(() => cb.evaluate({ t: t.slice(0, 2), V: V.slice(0, 2) })).toThrow("Line 1: Cannot fit linear model to 2 point(s)");
+	expect(() => cb.evaluate({ t: t[0], V })).toThrow("Line 1: Cannot fit to \"t\", which is not an array of values");
+});
+
+test("reports invalid fit lines", () => {
+	const cb = new CodeBlock(`fit a, b = linear(t, V)
+	fit a, b, c = linear(t, V)
+	fit a = cubic(t, V)
+	fit a = constant(t)
+	fit a, = constant(t, V)
+	fit a_mL = constant(t, V)
+	let a, b = t
+	let y = a * t + b + R2 + chi2`, { variables: ["t", "V"] });
+
+	expect(cb.diagnostics).toEqual([
+		{ line: 2, column: 6, message: "linear model has 2 parameter(s)" },
+		{ line: 3, column: 10, message: "unknown model 'cubic'" },
+		{ line: 4, column: 10, message: "expected model(x, y)" },
+		{ line: 5, column: 6, message: "expected variable name" },
+		{ line: 6, column: 8, message: "units of fit parameters cannot be declared" },
+		{ line: 7, column: 6, message: "only fit lines declare several variables" },
+	]);
+});
+
+test("parses comments, continuations and several statements per line", () => {
+	const cb = new CodeBlock(`# Dilution
+	const f = 10 # dilution factor
+	let c = n * f / \\
+		(V1 + \\
+		 V2)
+
+	let a = 1; let b = 2 * max(a; 1)
+	let d = 3;`);
+
+	expect(cb.lines.map(line => [line.line, line.variable])).toEqual([[2, "f"], [3, "c"], [7, "a"], [7, "b"], [8, "d"]]);
+	expect(cb.lines[1].text).toEqual("\tlet c = n * f /  \t\t(V1 +  \t\t V2)");
+	expect(cb.program.statements.map(statement => [statement.type, statement.name])).toEqual([["const", "f"], ["let", "c"], ["let", "a"], ["let", "b"], ["let", "d"]]);
+	expect(cb.program.statements[3].expression).toEqual({
+		type: "operation",
+		operator: "*",
+		operands: [
+			{ type: "number", value: EmalNumber.fromString("2") },
+			{ type: "call", name: "max", arguments: [{ type: "variable", name: "a" }, { type: "number", value: EmalNumber.fromString("1") }] },
+		],
+	});
+	expect(cb.program.comments).toEqual([
+		{ line: 1, column: 1, text: "Dilution" },
+		{ line: 2, column: 15, text: "dilution factor" },
+	]);
+	expect(cb.diagnostics).toEqual([]);
+
+	const result = cb.evaluate({ n: EmalNumber.fromString("2"), V1: EmalNumber.fromString("3"), V2: EmalNumber.fromString("2") });
+	expect(result.c.toString()).toEqual("4,00");
+});
+
+test("builds statement nodes of the program", () => {
+	const cb = new CodeBlock(`const g_m/s^2 = 9.81 ± 0.01
+	fn half(x) = x / 2
+	fit a, b = linear(t, d)`);
+	const [constant, fn, fit] = cb.program.statements;
+
+	expect(constant.type).toEqual("const");
+	expect(constant.unit.toString()).toEqual("m/s^2");
+	expect(constant.expression.value.absU.toString()).toEqual("1,00e-2");
+	expect(fn).toEqual({
+		type: "fn",
+		line: 2,
+		name: "half",
+		parameters: ["x"],
+		expression: { type: "operation", operator: "/", operands: [{ type: "variable", name: "x" }, { type: "number", value: EmalNumber.fromString("2") }] },
+	});
+	expect(fit).toEqual({
+		type: "fit",
+		line: 3,
+		names: ["a", "b"],
+		expression: { type: "call", name: "linear", arguments: [{ type: "variable", name: "t" }, { type: "variable", name: "d" }] },
+	});
+});
+
+test("locates diagnostics in continued statements", () => {
+	const cb = new CodeBlock(`let y = \\
+		x + a1; let z \\
+	  y`, { variables: ["x"] });
+
+	expect(cb.diagnostics).toEqual([
+		{ line: 2, column: 7, message: "undefined variable a1" },
+		{ line: 3, column: 4, message: "expected '='" },
+	]);
+});
+
+test("declares functions", () => {
+	const cb = new CodeBlock(`const eps_L/mmol/cm = 2.5 ± 0.1
+	fn absorbance(c, l) = eps * c * l
+	fn double(x) = 2 * x
+	let A = double(absorbance(c; 1)) / 2
+	let A2 = absorbance(c, l)`);
+	const c = ["0.1", "0.2"].map(v => Quantity.fromString(`${v} mmol/L`));
+
+	const result = cb.evaluate({ c, l: Quantity.fromString("1 cm") });
+	expect(result.A.map(v => v.convertTo(Unit.fromString("1/cm")).toString())).toEqual(["2,50e-1 ± 1,00e-2 1/cm", "5,00e-1 ± 2,00e-2 1/cm"]);
+	expect(result.A2.map(v => v.unit.toString())).toEqual(["1", "1"]);
+	expect(result.absorbance).toBeUndefined();
+
+	expect(cb.checkUnits({ c: "mmol/L", l: "cm" })).toEqual([]);
+	expect(new CodeBlock(`fn f(x) = x + t
+	let y_s = f(t)
+	let z = f(d)`).checkUnits({ t: "s", d: "m" })).toEqual([
+		{ line: 3, variable: "z", message: "Incompatible units m and s in \"x + t\" in \"f(d)\"" },
+	]);
+});
+
+test("reports invalid functions", () => {
+	const cb = new CodeBlock(`fn f(x) = x + a
+	fn g(x, x) = x
+	fn h(x = x
+	fn k_m(x) = x
+	fn (x) = x
+	let y = f(1) + m(2)
+	let z = f(1, 2)
+	fn log(x) = x * 2`, { variables: [] });
+
+	expect(cb.diagnostics).toEqual([
+		{ line: 1, column: 15, message: "undefined variable a" },
+		{ line: 2, column: 5, message: "parameters must have different names" },
+		{ line: 3, column: 12, message: "expected ')'" },
+		{ line: 4, column: 7, message: "units of functions cannot be declared" },
+		{ line: 5, column: 5, message: "expected name(parameters)" },
+		{ line: 6, column: 17, message: "undefined function m" },
+		{ line: 8, column: 5, message: "cannot redefine built-in function 'log'" },
+	]);
+	expect(() => cb.evaluate({})).toThrow("Line 6: Unknown variable \"a\" in \"f(1)\"");
+});
@@ -0,0 +1,234 @@
+/// Emal – Acquire and process scientific data with ease
+/// csv.js – Import of delimiter-separated data files.
+///
+/// Copyright (C) 2023 Titouan (Stalone) S.
+/// This program is free software: you can redistribute it and/or modify it
+/// under the terms of the GNU Affero General Public License as published by
+/// the Free Software Foundation, version 3.
+///
+/// Instruments usually export their data as CSV or TSV files. The first
+/// line holds headers, following the same convention as Emal code:
+/// variable name, then unit after an underscore (example: V_mL).
+/// Cells are split by a state machine which handles quoted cells, so
+/// that decimal commas can be used along with a comma delimiter.
+
+import { StateMachine } from "./stateMachine.js";
+import { EmalNumber } from "./number.js";
+import { Quantity } from "./quantity.js";
+import { UncertainValue } from "./uncertainty.js";
+import { Unit } from "./unit.js";
+
+// Delimiters which can be detected, by order of priority
+const CSV_DELIMITERS = ["\t", ";", ","];
+// 34 = '"'
+const QUOTE = 34;
+// 10 = "<LF>" | 13 = "<CR>"
+const LF = 10;
+const CR = 13;
+
+// The delimiter is only known when importing, so a state machine is built
+// for each delimiter.
+function delimitedSm(delimiter) {
+	const delimiterCode = delimiter.charCodeAt(0);
+
+	function startCell(charCode) {
+		this.token({ type: "cell" });
+
+		if(charCode === QUOTE) return quoted;
+		return this.unquoted(charCode);
+	}
+
+	function unquoted(charCode) {
+		if(isNaN(charCode)) return this.end(charCode);
+		if(charCode === delimiterCode) return startCell;
+		// Carriage returns are ignored, only line feeds end lines
+		if(charCode === CR) return unquoted;
+
+		if(charCode === LF) {
+			this.token({ type: "lineBreak" });
+			return startCell;
+		}
+
+		this.eat(charCode);
+		return unquoted;
+	}
+
+	function quoted(charCode) {
+		// Quoted cells must be closed
+		if(isNaN(charCode)) return this.nok("unterminated quoted cell");
+		if(charCode === QUOTE) return closingQuote;
+
+		this.eat(charCode);
+		return quoted;
+	}
+
+	// Two quotes in a quoted cell stand for one quote character
+	function closingQuote(charCode) {
+		if(charCode === QUOTE) {
+			this.eat(charCode);
+			return quoted;
+		}
+
+		return this.unquoted(charCode);
+	}
+
+	return new StateMachine("startCell", {
+		startCell,
+		unquoted,
+		quoted,
+		closingQuote,
+	}, {
+		type: "sequential",
+	});
+}
+
+function detectDelimiter(text) {
+	const firstLine = text.split("\n")[0];
+	return CSV_DELIMITERS.find(delimiter => firstLine.includes(delimiter)) || ",";
+}
+
+// Split a delimited text into records, each one being an array of cells
+// along with the line number where the record starts. Empty lines are
+// skipped.
+export function parseDelimited(text, delimiter) {
+	if(typeof delimiter === "undefined") delimiter = detectDelimiter(text);
+
+	const runnerOutput = delimitedSm(delimiter).run(text);
+
+	if(runnerOutput.hasThrown()) {
+		throw new Error("Unterminated quoted cell");
+	}
+
+	const records = new Array();
+	let currentRecord = { line: 1, cells: [] };
+	let currentLine = 1;
+
+	runnerOutput.tokens.forEach(tok => {
+		if(tok.type === "lineBreak") {
+			currentLine++;
+			records.push(currentRecord);
+			currentRecord = { line: currentLine, cells: [] };
+		} else {
+			currentRecord.cells.push(tok.value);
+			// Quoted cells can span multiple lines
+			currentLine += tok.value.split("\n").length - 1;
+		}
+	});
+
+	records.push(currentRecord);
+
+	return records.filter(record => record.cells.some(cell => cell.trim() !== ""));
+}
+
+// Headers are made of a name and an optional unit, separated by the
+// first underscore.
+export function parseHeader(header) {
+	const trimmedHeader = header.trim();
+	const separatorIndex = trimmedHeader.indexOf("_");
+
+	if(separatorIndex === -1) {
+		return { name: trimmedHeader, unit: undefined };
+	}
+
+	return {
+		name: trimmedHeader.substring(0, separatorIndex),
+		unit: trimmedHeader.substring(separatorIndex + 1),
+	};
+}
+
+// Import delimited text into a manager. Missing user columns are created
+// using the units of the headers. Options:
+// - delimiter: cell delimiter, detected from the header line by default;
+// - uncertainties: object associating the name of a value column with
+//   the name of the column holding its absolute uncertainties, expressed
+//   in the unit of its header or else in the unit of the values.
+// Cells which cannot be parsed are not imported, and reported along with
+// their position in the returned errors.
+export function importDelimited(manager, text, options = {}) {
+	const [headerRecord, ...dataRecords] = parseDelimited(text, options.delimiter);
+	const uncertainties = options.uncertainties || {};
+
+	if(typeof headerRecord === "undefined") {
+		return { rowCount: 0, errors: [] };
+	}
+
+	const headers = headerRecord.cells.map(parseHeader);
+	const uncertaintyNames = Object.values(uncertainties);
+	const indexOf = name => headers.findIndex(header => header.name === name);
+
+	Object.entries(uncertainties).forEach(([valueName, uncertaintyName]) => {
+		if(indexOf(valueName) === -1) throw new Error(`Missing value column "${valueName}"`);
+		if(indexOf(uncertaintyName) === -1) throw new Error(`Missing uncertainty column "${uncertaintyName}"`);
+	});
+
+	const valueHeaders = headers.filter(header => !uncertaintyNames.includes(header.name));
+
+	valueHeaders.forEach(header => {
+		const column = manager.getColumn(header.name);
+
+		if(!column) {
+			manager.addUserColumn(header.name, header.unit || "1");
+		} else if(column.isComputed) {
+			throw new Error(`Column "${header.name}" is computed and cannot be imported`);
+		} else if(header.unit && !Unit.equals(Unit.fromString(header.unit), column.unit)) {
+			throw new Error(`Column "${header.name}" expects ${column.unit.toString()}, not ${header.unit}`);
+		}
+	});
+
+	// Uncertainties are converted to the unit of their value column
+	const uncertaintyUnits = Object.entries(uncertainties).reduce((acc, [valueName, uncertaintyName]) => {
+		const { unit } = headers[indexOf(uncertaintyName)];
+		const valueUnit = manager.getColumn(valueName).unit;
+
+		if(unit && !Unit.sameDimension(Unit.fromString(unit), valueUnit)) {
+			throw new Error(`Uncertainty column "${uncertaintyName}" expects ${valueUnit.toString()}, not ${unit}`);
+		}
+
+		acc[valueName] = unit ? Unit.fromString(unit) : valueUnit;
+		return acc;
+	}, {});
+
+	const errors = new Array();
+	let rowCount = 0;
+
+	const parseCell = (record, index) => {
+		const cell = (record.cells[index] || "").trim();
+		if(cell === "") return undefined;
+
+		try {
+			return EmalNumber.fromString(cell);
+		} catch(e) {
+			errors.push({
+				line: record.line,
+				column: headers[index].name,
+				value: cell,
+				message: e.message,
+			});
+		}
+	};
+
+	dataRecords.forEach(record => {
+		const userData = valueHeaders.reduce((acc, header) => {
+			const value = parseCell(record, indexOf(header.name));
+			if(typeof value === "undefined") return acc;
+
+			if(header.name in uncertainties) {
+				const absU = parseCell(record, indexOf(uncertainties[header.name]));
+				const { unit } = manager.getColumn(header.name);
+
+				acc[header.name] = typeof absU === "undefined"
+					? value
+					: new UncertainValue(value, new Quantity(absU, uncertaintyUnits[header.name]).convertTo(unit).value);
+			} else {
+				acc[header.name] = value;
+			}
+
+			return acc;
+		}, {});
+
+		manager.addData(userData);
+		rowCount++;
+	});
+
+	return { rowCount, errors };
+}
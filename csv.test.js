@@ -0,0 +1,78 @@
+import { EmalManager } from "./index.js";
+import { parseDelimited, parseHeader, importDelimited } from "./csv.js";
+
+test("splits delimited text", () => {
+	const records = parseDelimited('V_mL,note\r\n2.1,"first, ""good"""\n\n"3,5","multi\nline"\n4,\n');
+
+	expect(records).toEqual([
+		{ line: 1, cells: ["V_mL", "note"] },
+		{ line: 2, cells: ["2.1", 'first, "good"'] },
+		{ line: 4, cells: ["3,5", "multi\nline"] },
+		{ line: 6, cells: ["4", ""] },
+	]);
+});
+
+test("detects delimiter", () => {
+	expect(parseDelimited("a\tb\n1,5\t2")[1].cells).toEqual(["1,5", "2"]);
+	expect(parseDelimited("a;b\n1,5;2")[1].cells).toEqual(["1,5", "2"]);
+});
+
+test("rejects unterminated quotes", () => {
+	expect(() => parseDelimited('a\n"1')).toThrow("Unterminated quoted cell");
+});
+
+test("parses headers", () => {
+	expect(parseHeader(" c_mol/L ")).toEqual({ name: "c", unit: "mol/L" });
+	expect(parseHeader("t")).toEqual({ name: "t", unit: undefined });
+});
+
+test("imports data with decimal commas", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addComputedColumn("W", "2*V");
+
+	const report = importDelimited(app, "V_mL;n_mmol\n2,1;1\n3.3;2e-1\n");
+
+	expect(report).toEqual({ rowCount: 2, errors: [] });
+	expect(app.getColumn("n").unit.toString()).toEqual("mmol");
+	expect(app.rows[0].W.toString()).toEqual("4,20");
+	expect(app.rows[1].n.toString()).toEqual("2,00e-1");
+});
+
+test("pairs values with uncertainties", () => {
+	const app = new EmalManager();
+	app.importCsv("V_mL\tdV_mL\n2.1\t0.1\n3.3\t\n", { uncertainties: { V: "dV" } });
+
+	expect(app.columns.map(col => col.name)).toEqual(["V"]);
+	expect(app.rows[0].V.absU.toString()).toEqual("1,00e-1");
+	expect(app.rows[1].V.toString()).toEqual("3,30");
+});
+
+test("converts uncertainties to the unit of their values", () => {
+	const app = new EmalManager();
+	app.importCsv("V_mL\tdV_µL\n2.1\t100\n", { uncertainties: { V: "dV" } });
+
+	expect(app.rows[0].V.absU.toString()).toEqual("1,00e-1");
+	expect(() => app.importCsv("V_mL\tdV_s\n2.1\t1\n", { uncertainties: { V: "dV" } })).toThrow("Uncertainty column \"dV\" expects mL, not s");
+	expect(app.rows).toHaveLength(1);
+});
+
+test("reports invalid cells", () => {
+	const app = new EmalManager();
+	const report = app.importCsv("V_mL,n_mmol\n2.1,abc\n\n1e,2\n");
+
+	expect(report.rowCount).toEqual(2);
+	expect(report.errors).toEqual([
+		{ line: 2, column: "n", value: "abc", message: "Invalid number \"abc\"" },
+		{ line: 4, column: "V", value: "1e", message: "Invalid number \"1e\"" },
+	]);
+	expect(app.rows[0].V.toString()).toEqual("2,10");
+	expect(app.rows[0].n).toBeUndefined();
+});
+
+test("rejects inconsistent units", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+
+	expect(() => app.importCsv("V_L\n1")).toThrow("Column \"V\" expects mL, not L");
+});
@@ -0,0 +1,38 @@
+/// Emal – Acquire and process scientific data with ease
+/// events.js – Subscription to changes of an object.
+///
+/// Copyright (C) 2023 Titouan (Stalone) S.
+/// This program is free software: you can redistribute it and/or modify it
+/// under the terms of the GNU Affero General Public License as published by
+/// the Free Software Foundation, version 3.
+///
+/// Observable objects notify their listeners when they change, so that
+/// user interfaces can update incrementally. No dependency on Node.js
+/// events is needed, so that the library can also run in a browser.
+
+export class Observable {
+	constructor() {
+		this.listeners = {};
+	}
+
+	// Subscribe to an event: the returned function cancels the subscription
+	on(eventName, listener) {
+		if(!(eventName in this.listeners)) this.listeners[eventName] = new Array();
+		this.listeners[eventName].push(listener);
+
+		return () => this.off(eventName, listener);
+	}
+
+	off(eventName, listener) {
+		if(!(eventName in this.listeners)) return;
+
+		this.listeners[eventName] = this.listeners[eventName].filter(l => l !== listener);
+	}
+
+	emit(eventName, payload) {
+		if(!(eventName in this.listeners)) return;
+
+		// Copy listeners, which could unsubscribe while being called
+		this.listeners[eventName].slice().forEach(listener => listener(payload));
+	}
+}
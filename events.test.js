@@ -0,0 +1,24 @@
+import { Observable } from "./events.js";
+
+test("notifies listeners", () => {
+	const observable = new Observable();
+	const received = [];
+
+	observable.on("change", payload => received.push(payload));
+	observable.emit("change", 1);
+	observable.emit("other", 2);
+
+	expect(received).toEqual([1]);
+});
+
+test("cancels subscriptions", () => {
+	const observable = new Observable();
+	const received = [];
+
+	const unsubscribe = observable.on("change", payload => received.push(payload));
+	observable.emit("change", 1);
+	unsubscribe();
+	observable.emit("change", 2);
+
+	expect(received).toEqual([1]);
+});
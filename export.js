@@ -0,0 +1,159 @@
+/// Emal – Acquire and process scientific data with ease
+/// export.js – Export of manager tables to text formats.
+///
+/// Copyright (C) 2023 Titouan (Stalone) S.
+/// This program is free software: you can redistribute it and/or modify it
+/// under the terms of the GNU Affero General Public License as published by
+/// the Free Software Foundation, version 3.
+///
+/// Tables can be exported to CSV, Markdown or LaTeX, so that results can
+/// be pasted in lab reports. LaTeX tables use `S` columns from the siunitx
+/// package, which align numbers on their decimal marker.
+/// Uncertain values are either written as `value ± u` or in the compact
+/// `value(u)` notation, where u applies to the last digits of the value.
+
+import { MISSING } from "./missing.js";
+import { EmalNumber } from "./number.js";
+import { UncertainValue } from "./uncertainty.js";
+
+const EEXPORT_DEFAULT_DC = 2;
+
+// Round a number to the closest integer, as a BigInt
+function roundToInt(n) {
+	if(n.decimalPlace <= 0n) return n.rawInt * 10n ** -n.decimalPlace;
+
+	const divisor = 10n ** n.decimalPlace;
+	const half = divisor / 2n;
+
+	return n.isNegative ? (n.rawInt - half) / divisor : (n.rawInt + half) / divisor;
+}
+
+function formatNumber(n, decimalCount) {
+	// Formatting a number pads its raw integer, so a copy is used
+	return n.clone().toString(decimalCount);
+}
+
+function formatValue(value, options) {
+	if(!(value instanceof UncertainValue)) return formatNumber(value, options.decimals);
+
+	const valueStr = formatNumber(value.value, options.decimals);
+
+	if(options.uncertainty === "parentheses") {
+		// The uncertainty is expressed in units of the last digit of the value
+		const [mantissa, exponentStr] = valueStr.split("e");
+		const exponent = BigInt(exponentStr || "0");
+		const lastDigitPlace = BigInt(options.decimals) - exponent;
+		const scaledU = new EmalNumber(value.absU.rawInt, value.absU.decimalPlace - lastDigitPlace);
+
+		return `${mantissa}(${roundToInt(scaledU)})${exponentStr ? "e" + exponentStr : ""}`;
+	}
+
+	return `${valueStr} ${options.pmSymbol} ${formatNumber(value.absU, options.decimals)}`;
+}
+
+function headerOf(column) {
+	const unitStr = column.unit ? column.unit.toString() : "1";
+	return { name: column.name, unit: unitStr === "1" ? "" : unitStr };
+}
+
+// Cells of the table, as strings, along with headers.
+function tableOf(manager, options) {
+	const columns = options.columns
+		? options.columns.map(name => manager.getExistingColumn(name))
+		: manager.columns;
+
+	return {
+		headers: columns.map(headerOf),
+		// Masked rows are not exported, masked cells are exported as
+		// missing ones.
+		rows: manager.rows
+			.map((row, index) => ({ row, index }))
+			.filter(({ index }) => !manager.isMasked(index))
+			.map(({ row, index }) => columns.map(column => {
+				if(row[column.name] === MISSING || manager.isMasked(index, column.name)) return options.missing;
+				return column.name in row ? formatValue(row[column.name], options) : "";
+			})),
+	};
+}
+
+function toCsv(table, options) {
+	const delimiter = options.delimiter || ",";
+
+	// Cells containing delimiters (such as decimal commas) are quoted
+	const escape = cell => {
+		if(!cell.includes(delimiter) && !cell.includes("\"") && !cell.includes("\n")) return cell;
+		return `"${cell.replace(/"/g, "\"\"")}"`;
+	};
+
+	// Headers follow the convention used for import
+	const headers = table.headers.map(header => header.unit ? `${header.name}_${header.unit}` : header.name);
+
+	return [headers].concat(table.rows)
+		.map(cells => cells.map(escape).join(delimiter))
+		.join("\n") + "\n";
+}
+
+function toMarkdown(table) {
+	const headers = table.headers.map(header => header.unit ? `${header.name} (${header.unit})` : header.name);
+	const line = cells => `| ${cells.join(" | ")} |`;
+
+	return [
+		line(headers),
+		line(headers.map(() => "---")),
+		...table.rows.map(line),
+	].join("\n") + "\n";
+}
+
+function latexUnit(unitStr) {
+	return unitStr.replace(/µ/g, "\\micro ").replace(/·/g, ".");
+}
+
+function toLatex(table) {
+	// Headers must be braced so that siunitx does not parse them as numbers
+	const headers = table.headers.map(header => {
+		return header.unit ? `{$${header.name}$ (\\si{${latexUnit(header.unit)}})}` : `{$${header.name}$}`;
+	});
+	const line = cells => `\t${cells.join(" & ")} \\\\`;
+
+	return [
+		`\\begin{tabular}{${"S".repeat(headers.length)}}`,
+		"\t\\hline",
+		line(headers),
+		"\t\\hline",
+		...table.rows.map(line),
+		"\t\\hline",
+		"\\end{tabular}",
+	].join("\n") + "\n";
+}
+
+// Export the table of a manager. Options:
+// - decimals: number of decimals of the values (2 by default);
+// - uncertainty: "pm" (default) for `value ± u`, or "parentheses" for
+//   `value(u)`;
+// - columns: names of the exported columns, all columns by default;
+// - delimiter: delimiter of CSV cells, "," by default;
+// - missing: text of missing cells, "NaN" by default ("{--}" in LaTeX,
+//   braced like headers).
+export function exportTable(manager, format, options = {}) {
+	const fullOptions = Object.assign({
+		decimals: EEXPORT_DEFAULT_DC,
+		uncertainty: "pm",
+		missing: format === "latex" ? "{--}" : MISSING.toString(),
+		pmSymbol: format === "latex" ? "\\pm" : "±",
+	}, options);
+
+	const table = tableOf(manager, fullOptions);
+
+	switch(format) {
+		case "csv":
+			return toCsv(table, fullOptions);
+
+		case "markdown":
+			return toMarkdown(table);
+
+		case "latex":
+			return toLatex(table);
+	}
+
+	throw new Error(`Unknown export format "${format}"`);
+}
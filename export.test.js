@@ -0,0 +1,68 @@
+import { EmalManager } from "./index.js";
+import { EmalNumber } from "./number.js";
+import { exportTable } from "./export.js";
+
+function buildManager() {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL", "0.05");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "n/V");
+	app.addComputedColumn("r", "V/V");
+	app.addData({ V: EmalNumber.fromString("2.1"), n: EmalNumber.fromString("1e1") });
+	app.addData({ V: EmalNumber.fromString("12.5"), n: EmalNumber.fromString("0") });
+
+	return app;
+}
+
+test("exports to CSV", () => {
+	const csv = exportTable(buildManager(), "csv", { columns: ["V", "n", "r"] });
+
+	expect(csv).toEqual([
+		"V_mL,n_mmol,r",
+		"\"2,10 ± 5,00e-2\",\"1,00e1\",\"1,00 ± 4,76e-2\"",
+		"\"1,25e1 ± 5,00e-2\",\"0,00\",\"1,00 ± 8,00e-3\"",
+		"",
+	].join("\n"));
+});
+
+test("exports to Markdown", () => {
+	const markdown = exportTable(buildManager(), "markdown", { columns: ["V", "c"], uncertainty: "parentheses", decimals: 3 });
+
+	expect(markdown).toEqual([
+		"| V (mL) | c (mol/L) |",
+		"| --- | --- |",
+		"| 2,100(50) | 4,761(113) |",
+		"| 1,250(5)e1 | 0,000(0) |",
+		"",
+	].join("\n"));
+});
+
+test("exports to LaTeX", () => {
+	const app = new EmalManager();
+	app.addUserColumn("n", "µmol");
+	app.addData({ n: EmalNumber.fromString("1.5") });
+
+	expect(app.exportTable("latex")).toEqual([
+		"\\begin{tabular}{S}",
+		"\t\\hline",
+		"\t{$n$ (\\si{\\micro mol})} \\\\",
+		"\t\\hline",
+		"\t1,50 \\\\",
+		"\t\\hline",
+		"\\end{tabular}",
+		"",
+	].join("\n"));
+	expect(() => app.exportTable("html")).toThrow("Unknown export format");
+});
+
+test("exports missing cells", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "n/V");
+	app.addData({ V: EmalNumber.fromString("2"), n: null });
+
+	expect(app.exportTable("csv", { delimiter: ";" })).toEqual("V_mL;n_mmol;c_mol/L\n2,00;NaN;NaN\n");
+	expect(app.exportTable("csv", { delimiter: ";", missing: "" })).toEqual("V_mL;n_mmol;c_mol/L\n2,00;;\n");
+	expect(app.exportTable("latex")).toContain("\t2,00 & {--} & {--} \\\\");
+});
@@ -10,6 +10,11 @@
 /// Example: 0.75 + 2 * log(x)
 /// Expressions are represented as a sequence of tokens, in Reverse
 /// Polish Notation (RPN).
+/// Besides built-in functions, expressions can call user-defined functions,
+/// given on evaluation: a name directly followed by an opening bracket is
+/// a function call.
+/// Invalid expressions, such as `a +` or `(a`, keep the first problem found
+/// in `error`, along with its position (from 0) in the string.
 
 import { isWhitespace, isDigit, isSign, isOpeningBracket, isClosingBracket, isCommaSeparator } from "./matchers.js";
 import { EmalNumber, numberSm } from "./number.js";
@@ -32,6 +37,12 @@ const EEXPR_OPERATORS = {
 		priority: 2,
 		methodName: "div",
 	},
+	// Exponentiation is right-associative: a ^ b ^ c is a ^ (b ^ c)
+	"^": {
+		priority: 3,
+		methodName: "pow",
+		isRightAssociative: true,
+	},
 };
 
 const EEXPR_FUNCTIONS = {
@@ -54,9 +65,11 @@ function isOperator(charCode) {
 
 function exprToken(charCode) {
 	if(isDigit(charCode) || isSign(charCode)) {
-		const hasDelegated = this.delegate(numberSm, { type: "number" });
+		const hasDelegated = this.delegate(numberSm, { type: "number", position: this.position() });
 
 		if(hasDelegated) {
+			// Position of the last character of the number
+			this.mutate({ end: this.position() });
 			return exprToken;
 		}
 	}
@@ -71,15 +84,18 @@ function exprToken(charCode) {
 		if(opCond) {
 			this.token({
 				type: "operator",
+				position: this.position(),
 			});
 		} else if(csCond) {
 			this.token({
 				type: "comma",
+				position: this.position(),
 			});
 		} else {
 			this.token({
 				type: "bracket",
 				bracketType: cbCond ? "closing" : "opening",
+				position: this.position(),
 			});
 		}
 
@@ -97,14 +113,15 @@ function exprToken(charCode) {
 
 	// By default, token is expected to be a variable and will later be
 	// mutated if the name matches a function name.
-	this.token({ type: "variable" });
+	this.token({ type: "variable", position: this.position() });
 	return this.variableOrFunction(charCode);
 }
 
 function variableOrFunction(charCode) {
 	if(isWhitespace(charCode) || isOperator(charCode) || isOpeningBracket(charCode) || isClosingBracket(charCode) || isCommaSeparator(charCode)) {
-		// Mutate token to function if a function name is found
-		if(EEXPR_FUNCTION_NAMES.includes(this.eaten())) {
+		// Mutate token to function if a function name is found, or if the
+		// name is followed by its arguments
+		if(EEXPR_FUNCTION_NAMES.includes(this.eaten()) || isOpeningBracket(charCode)) {
 			this.mutate({ type: "function" });
 		}
 
@@ -124,6 +141,80 @@ function variableOrFunction(charCode) {
 	return variableOrFunction;
 }
 
+// Operands of an operation may have different types, for instance when an
+// exact number multiplies an uncertain value. The operation is delegated to
+// the type with the highest rank, which is expected to handle the others.
+function operandsType(args) {
+	return args.reduce((acc, arg) => {
+		return (arg.constructor.TYPE_RANK || 0) > (acc.TYPE_RANK || 0) ? arg.constructor : acc;
+	}, args[0].constructor);
+}
+
+// Infix representation of an operation on already represented operands,
+// only adding brackets where priorities require them.
+function infixOperation(tok, operands) {
+	if(tok.type === "function") {
+		const args = operands.map(arg => arg.str);
+		return { str: `${tok.value}(${args.join("; ")})`, priority: Infinity };
+	}
+
+	const { priority, isRightAssociative } = EEXPR_OPERATORS[tok.value];
+	const [left, right] = operands;
+	// Subtraction, division and exponentiation are not associative
+	const leftPriority = isRightAssociative ? priority + 1 : priority;
+	const rightPriority = ["-", "/"].includes(tok.value) ? priority + 1 : priority;
+
+	const leftStr = left.priority < leftPriority ? `(${left.str})` : left.str;
+	const rightStr = right.priority < rightPriority ? `(${right.str})` : right.str;
+
+	return { str: `${leftStr} ${tok.value} ${rightStr}`, priority };
+}
+
+function infixOperand(tok) {
+	if(tok.type === "number") {
+		return { str: tok.children.clone().simplify().toExactString(), priority: Infinity };
+	}
+
+	return { str: tok.value, priority: Infinity };
+}
+
+// Built-in functions have a fixed number of arguments, while user-defined
+// functions take the number of arguments they are called with.
+function operandCount(tok) {
+	if(tok.type !== "function") return 2;
+
+	return isBuiltinFunction(tok.value) ? EEXPR_FUNCTIONS[tok.value].argumentCount : tok.argumentCount;
+}
+
+export function isBuiltinFunction(name) {
+	return EEXPR_FUNCTION_NAMES.includes(name);
+}
+
+// Infix representation of RPN tokens. Variables can be replaced by given
+// operands, and calls of user-defined functions by their expression.
+function infixTokens(tokens, replacements = {}, functions = {}) {
+	const output = tokens.reduce((acc, tok) => {
+		if(tok.type === "variable" && tok.value in replacements) {
+			acc.push(replacements[tok.value]);
+		} else if(tok.type === "number" || tok.type === "variable") {
+			acc.push(infixOperand(tok));
+		} else {
+			const count = operandCount(tok);
+			const operands = acc.splice(-count, count);
+
+			if(tok.type === "function" && tok.value in functions) {
+				acc.push(functions[tok.value].inline(operands));
+			} else {
+				acc.push(infixOperation(tok, operands));
+			}
+		}
+
+		return acc;
+	}, []);
+
+	return output.length > 0 ? output[0] : { str: "", priority: Infinity };
+}
+
 const expressionSm = new StateMachine("exprToken", {
 	exprToken,
 	variableOrFunction,
@@ -131,24 +222,70 @@ const expressionSm = new StateMachine("exprToken", {
 	type: "sequential"
 });
 
+// Tokens after which an operator is expected
+function isOperand(tok) {
+	return tok && (tok.type === "number" || tok.type === "variable" || tok.bracketType === "closing");
+}
+
 export class Expression {
 	constructor(expressionStr) {
 		const runnerOutput = expressionSm.run(expressionStr);
 
-		// State machine transformers cannot be used for sequential parsing
+		// State machine transformers cannot be used for sequential parsing.
+		// The lexer reads signs as part of numbers: after an operand, they
+		// are operators instead, such as in `x-1`. A decimal comma without
+		// decimals separates arguments instead, such as in `max(1, 2)`.
 		const tokens = runnerOutput.tokens
-			.map(tok => {
-				if(tok.type === "number") {
-					tok.children = EmalNumber.fromTokens(tok.children);
+			.reduce((acc, tok) => {
+				if(tok.type !== "number") {
+					acc.push(tok);
+					return acc;
 				}
 
-				return tok;
-			});
+				const { sign, ...children } = tok.children;
+				const hasSeparator = children.floatPart === "" && expressionStr[tok.end] === ",";
+
+				if(hasSeparator) delete children.floatPart;
+
+				if(sign && isOperand(acc[acc.length - 1])) {
+					acc.push({ type: "operator", position: tok.position, value: sign });
+					tok.position++;
+				} else if(sign) {
+					children.sign = sign;
+				}
+
+				tok.children = EmalNumber.fromTokens(children);
+				acc.push(tok);
+
+				if(hasSeparator) acc.push({ type: "comma", position: tok.end, value: "," });
+				return acc;
+			}, []);
 
 		// After the lexer, based on a sequential state machine, tokens needs
 		// to be ordered in RPN. This code is based on Dijkstra's shunting
 		// yard algorithm.
-		const rpnOutput = tokens.reduce((acc, cur) => {
+		// Operands and operators must alternate, and brackets be balanced:
+		// `brackets` tells, for each open bracket, if it holds arguments of
+		// a function.
+		const fail = (acc, position, message) => {
+			if(!acc.error) acc.error = { position, message };
+		};
+
+		const rpnOutput = tokens.reduce((acc, cur, index) => {
+			const previous = tokens[index - 1];
+
+			if(previous && previous.type === "function" && cur.bracketType !== "opening") {
+				fail(acc, cur.position, "expected '('");
+			}
+
+			const expectsOperand = !isOperand(previous);
+
+			if(["number", "variable", "function"].includes(cur.type) || cur.bracketType === "opening") {
+				if(!expectsOperand) fail(acc, cur.position, "expected operator");
+			} else if(expectsOperand) {
+				fail(acc, cur.position, "expected operand");
+			}
+
 			switch(cur.type) {
 				case "number":
 				case "variable":
@@ -156,14 +293,19 @@ export class Expression {
 					break;
 
 				case "function":
+					if(!isBuiltinFunction(cur.value)) cur.argumentCount = 1;
 					acc.stack.push(cur);
 					break;
 
 				case "operator":
-					const currentPriority = EEXPR_OPERATORS[cur.value].priority;
+					const { priority: currentPriority, isRightAssociative } = EEXPR_OPERATORS[cur.value];
 					let op = acc.stack.pop();
 
-					while(op && op.type !== "bracket" && EEXPR_OPERATORS[op.value].priority > currentPriority) {
+					// Operators are left-associative: a - b + c is (a - b) + c,
+					// except right-associative ones, which wait for their right
+					// operand when it uses the same operator
+					while(op && op.type !== "bracket" && (EEXPR_OPERATORS[op.value].priority > currentPriority
+						|| (!isRightAssociative && EEXPR_OPERATORS[op.value].priority === currentPriority))) {
 						acc.tokens.push(op);
 						op = acc.stack.pop();
 					}
@@ -176,8 +318,17 @@ export class Expression {
 				case "bracket":
 				case "comma":
 					if(cur.bracketType === "opening") {
+						acc.brackets.push(previous && previous.type === "function");
 						acc.stack.push(cur);
 					} else {
+						if(acc.brackets.length === 0) {
+							fail(acc, cur.position, cur.type === "comma" ? "unexpected separator" : "unexpected ')'");
+						} else if(cur.type === "comma" && !acc.brackets[acc.brackets.length - 1]) {
+							fail(acc, cur.position, "unexpected separator");
+						} else if(cur.type !== "comma") {
+							acc.brackets.pop();
+						}
+
 						let op = acc.stack.pop();
 
 						while(op && op.bracketType !== "opening") {
@@ -185,54 +336,180 @@ export class Expression {
 							op = acc.stack.pop();
 						}
 
-						// Do not push anything back: brackets get discarded
+						// Commas separate function arguments: the bracket is
+						// kept until the closing one is found.
+						if(cur.type === "comma") {
+							if(op) acc.stack.push(op);
+
+							const fn = acc.stack[acc.stack.length - 2];
+							if(fn && fn.type === "function" && "argumentCount" in fn) fn.argumentCount++;
+							break;
+						}
+
+						// Brackets get discarded, but the function they belong
+						// to (if any) is complete.
+						const top = acc.stack[acc.stack.length - 1];
+						if(top && top.type === "function") acc.tokens.push(acc.stack.pop());
 					}
 					break;
 			}
 
 			return acc;
-		}, { tokens: [], stack: [] });
+		}, { tokens: [], stack: [], brackets: [], error: undefined });
+
+		const last = tokens[tokens.length - 1];
+
+		if(last && last.type === "function") {
+			fail(rpnOutput, expressionStr.length, "expected '('");
+		} else if(!isOperand(last)) {
+			fail(rpnOutput, expressionStr.length, "expected operand");
+		} else if(rpnOutput.brackets.length > 0) {
+			fail(rpnOutput, expressionStr.length, "expected ')'");
+		}
 
-		// Fully pop remaining stack
-		rpnOutput.stack.reverse().forEach(op => rpnOutput.tokens.push(op));
+		// Fully pop remaining stack, brackets left open being discarded
+		rpnOutput.stack.reverse()
+			.filter(op => op.type !== "bracket")
+			.forEach(op => rpnOutput.tokens.push(op));
 
 		this.tokens = rpnOutput.tokens;
+		this.error = rpnOutput.error;
+	}
+
+	renameVariable(oldName, newName) {
+		this.tokens
+			.filter(tok => tok.type === "variable" && tok.value === oldName)
+			.forEach(tok => {
+				tok.value = newName;
+			});
+	}
+
+	// Rebuild an infix string from the RPN tokens
+	toString() {
+		return infixTokens(this.tokens).str;
+	}
+
+	// Tree of the operations of the expression, made of numbers, variables,
+	// operations on two operands and calls of functions
+	toTree() {
+		return this.tokens.reduce((acc, tok) => {
+			if(tok.type === "number") {
+				acc.push({ type: "number", value: tok.children });
+			} else if(tok.type === "variable") {
+				acc.push({ type: "variable", name: tok.value });
+			} else {
+				const count = operandCount(tok);
+				const operands = acc.splice(-count, count);
+
+				acc.push(tok.type === "function"
+					? { type: "call", name: tok.value, arguments: operands }
+					: { type: "operation", operator: tok.value, operands });
+			}
+
+			return acc;
+		}, [])[0];
+	}
+
+	// Replace calls of user-defined functions by their expression, for
+	// evaluators which only know built-in functions
+	inlineFunctions(functions) {
+		return new Expression(infixTokens(this.tokens, {}, functions).str);
 	}
 
 	// Evaluating an expression on a set of variables gives the result
 	// of the operations represented by the tokens, replacing all variables
 	// by their values.
-	evaluate(variables) {
+	// The infix representation of each intermediate result is kept, so
+	// that a failing operation can be reported along with the part of the
+	// expression it comes from.
+	// User-defined functions are given by name, as `ExpressionFunction`.
+	evaluate(variables, functions = {}) {
+		if(this.error) {
+			throw new Error(`Invalid expression: ${this.error.message} at character ${this.error.position + 1}`);
+		}
+
 		return this.tokens.reduce((acc, tok) => {
 			switch(tok.type) {
 				case "number":
-					acc.push(tok.children);
+					acc.values.push(tok.children);
+					acc.infix.push(infixOperand(tok));
 					break;
 				
 				case "variable":
-					const value = variables[tok.value];
-					acc.push(value);
+					if(!(tok.value in variables)) {
+						throw new Error(`Unknown variable "${tok.value}"`);
+					}
+
+					acc.values.push(variables[tok.value]);
+					acc.infix.push(infixOperand(tok));
 					break;
 
 				case "operator":
-					const opMethodName = EEXPR_OPERATORS[tok.value].methodName;
-					const opArgs = acc.splice(-2, 2);
-					// Assume all arguments are of the same type
-					const opMethod = opArgs[0].constructor[opMethodName];
+				case "function":
+					const isUserFunction = tok.type === "function" && !isBuiltinFunction(tok.value);
 
-					acc.push(opMethod.apply(null, opArgs));
-					break;
+					if(isUserFunction && !(tok.value in functions)) {
+						throw new Error(`Unknown function "${tok.value}"`);
+					}
 
-				case "function":
-					const { methodName, argumentCount } = EEXPR_FUNCTIONS[tok.value];
-					const args = acc.splice(-argumentCount, argumentCount);
-					const method = args[0].constructor[methodName];
+					const count = operandCount(tok);
+					const args = acc.values.splice(-count, count);
+					const infix = infixOperation(tok, acc.infix.splice(-count, count));
 
-					acc.push(method.apply(null, args));
+					try {
+						if(isUserFunction) {
+							acc.values.push(functions[tok.value].call(args));
+						} else {
+							const { methodName } = tok.type === "function" ? EEXPR_FUNCTIONS[tok.value] : EEXPR_OPERATORS[tok.value];
+							acc.values.push(operandsType(args)[methodName].apply(null, args));
+						}
+					} catch(e) {
+						throw new Error(`${e.message} in "${infix.str}"`);
+					}
+
+					acc.infix.push(infix);
 					break;
 			}
 	
 			return acc;
-		}, [])[0];
+		}, { values: [], infix: [] }).values[0];
 	}
 };
+
+// A user-defined function computes an expression of its parameters. Its
+// expression can also use the variables and functions it is defined with.
+// Like built-in functions, it works on any type of values.
+export class ExpressionFunction {
+	constructor(parameters, expression, variables = {}, functions = {}) {
+		this.parameters = parameters;
+		this.expression = expression;
+		this.variables = variables;
+		this.functions = functions;
+	}
+
+	checkArgumentCount(args) {
+		if(args.length !== this.parameters.length) {
+			throw new Error(`Expected ${this.parameters.length} argument(s), got ${args.length}`);
+		}
+	}
+
+	call(args) {
+		this.checkArgumentCount(args);
+
+		const variables = Object.assign({}, this.variables);
+		this.parameters.forEach((name, i) => variables[name] = args[i]);
+
+		return this.expression.evaluate(variables, this.functions);
+	}
+
+	// Infix representation of a call, given the infix representation of
+	// its arguments (see `inlineFunctions`)
+	inline(args) {
+		this.checkArgumentCount(args);
+
+		const replacements = {};
+		this.parameters.forEach((name, i) => replacements[name] = args[i]);
+
+		return infixTokens(this.expression.tokens, replacements, this.functions);
+	}
+}
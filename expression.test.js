@@ -1,4 +1,4 @@
-import { Expression } from "./expression.js";
+import { Expression, ExpressionFunction } from "./expression.js";
 import { EmalNumber } from "./number.js";
 
 class MockNumber {
@@ -94,3 +94,96 @@ test("distinguishes number comma and argument separator", () => {
 	const expr = new Expression("2,5 * max(a, b)");
 	expect(expr.tokens).toMatchSnapshot();
 });
+
+test("stringifies expressions", () => {
+	expect(new Expression("a * (b + a) - (a - b)").toString()).toEqual("a * (b + a) - (a - b)");
+	expect(new Expression("(a + b) / (2 * c)").toString()).toEqual("(a + b) / (2 * c)");
+	expect(new Expression("2,5 * max(a, -1.25e-1)").toString()).toEqual("2.5 * max(a; -0.125)");
+});
+
+test("tokenizes function followed by operator", () => {
+	const expr = new Expression("max(a, log(b)) * 2 + 1");
+	const values = expr.tokens.map(tok => tok.type === "number" ? tok.children.toExactString() : tok.value);
+
+	expect(values).toEqual(["a", "b", "log", "max", "2.0", "*", "1.0", "+"]);
+});
+
+test("renames variables", () => {
+	const expr = new Expression("log(a) * b / a");
+	expr.renameVariable("a", "c");
+
+	expect(expr.toString()).toEqual("log(c) * b / c");
+});
+
+test("evaluates operators from left to right", () => {
+	const a = EmalNumber.fromString("8");
+	const b = EmalNumber.fromString("4");
+	const c = EmalNumber.fromString("2");
+
+	expect(new Expression("a - b + c").evaluate({ a, b, c }).toString()).toEqual("6,00");
+	expect(new Expression("a / b / c").evaluate({ a, b, c }).toString()).toEqual("1,00");
+});
+
+test("raises to powers from right to left", () => {
+	const a = EmalNumber.fromString("2");
+	const t = EmalNumber.fromString("4");
+
+	expect(new Expression("a ^ 3 ^ 2").evaluate({ a }).toExactString()).toEqual("512.000000000");
+	expect(new Expression("2 * a ^ 2").evaluate({ a }).toString()).toEqual("8,00");
+	expect(new Expression("t^-1").evaluate({ t }).toString()).toEqual("2,50e-1");
+	expect(new Expression("a ^ 3 ^ 2").toString()).toEqual("a ^ 3 ^ 2");
+	expect(new Expression("(a ^ 3) ^ 2").toString()).toEqual("(a ^ 3) ^ 2");
+	expect(new Expression("(a * t) ^ (1 / 2)").toString()).toEqual("(a * t) ^ (1 / 2)");
+});
+
+test("reads signs after operands as operators", () => {
+	const x = EmalNumber.fromString("3");
+
+	expect(new Expression("x-1").evaluate({ x }).toString()).toEqual("2,00");
+	expect(new Expression("x -1").toString()).toEqual("x - 1");
+	expect(new Expression("x * -1").toString()).toEqual("x * -1");
+	expect(new Expression("max(1, 2)").toString()).toEqual("max(1; 2)");
+});
+
+test("locates invalid expressions", () => {
+	expect(new Expression("a * (b + c)").error).toBeUndefined();
+	expect(new Expression("a +").error).toEqual({ position: 3, message: "expected operand" });
+	expect(new Expression(")").error).toEqual({ position: 0, message: "expected operand" });
+	expect(new Expression("(a").error).toEqual({ position: 2, message: "expected ')'" });
+	expect(new Expression("a)").error).toEqual({ position: 1, message: "unexpected ')'" });
+	expect(new Expression("a b").error).toEqual({ position: 2, message: "expected operator" });
+	expect(new Expression("(a; b)").error).toEqual({ position: 2, message: "unexpected separator" });
+	expect(new Expression("log a").error).toEqual({ position: 4, message: "expected '('" });
+	expect(() => new Expression("a +").evaluate({ a: EmalNumber.fromInt(1) })).toThrow("Invalid expression: expected operand at character 4");
+});
+
+test("rejects unknown variables", () => {
+	expect(() => new Expression("a + b").evaluate({ a: EmalNumber.fromInt(1) })).toThrow("Unknown variable \"b\"");
+});
+
+test("calls user-defined functions", () => {
+	const a = EmalNumber.fromString("2");
+	const b = EmalNumber.fromString("3");
+	const k = EmalNumber.fromString("10");
+	const square = new ExpressionFunction(["x"], new Expression("x * x"));
+	const weighted = new ExpressionFunction(["x", "y"], new Expression("k * x + square(y)"), { k }, { square });
+
+	const expr = new Expression("weighted(a, max(a; b)) - square(a + 1)");
+
+	expect(expr.tokens.find(tok => tok.value === "weighted").argumentCount).toEqual(2);
+	expect(expr.evaluate({ a, b }, { square, weighted }).toString()).toEqual("2,00e1");
+	expect(expr.toString()).toEqual("weighted(a; max(a; b)) - square(a + 1)");
+	expect(new Expression("square(a)").evaluate({ a: new MockNumber(1.5) }, { square }).inner).toEqual(2.25);
+	expect(() => expr.evaluate({ a, b }, { square })).toThrow("Unknown function \"weighted\"");
+	expect(() => new Expression("square(a, b)").evaluate({ a, b }, { square }))
+		.toThrow("Expected 1 argument(s), got 2 in \"square(a; b)\"");
+});
+
+test("inlines user-defined functions", () => {
+	const square = new ExpressionFunction(["x"], new Expression("x * x"));
+	const weighted = new ExpressionFunction(["x", "y"], new Expression("k * x - square(y)"), {}, { square });
+	const expr = new Expression("weighted(1 + a, b - c) / 2 - max(a; b)");
+
+	expect(expr.inlineFunctions({ weighted }).toString()).toEqual("(k * (1 + a) - (b - c) * (b - c)) / 2 - max(a; b)");
+	expect(() => new Expression("square(a, b)").inlineFunctions({ square })).toThrow("Expected 1 argument(s), got 2");
+});
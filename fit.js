@@ -12,6 +12,8 @@
 /// Propagation of the uncertainties is done based on a statistical method
 /// which involves finding roots of a non-linear equation.
 
+import { Unit } from "./unit.js";
+
 const EFIT_DEFAULT_GRADIENT_STEP = 0.001;
 const EFIT_DEFAULT_DESCENT_STEP = 0.01;
 const EFIT_DEFAULT_MAX_ITERATIONS = 100000;
@@ -124,9 +126,30 @@ const EFIT_DEFAULT_MODELS = {
 	"exponential": (x, a, b) => a * Math.exp(b * x),
 };
 
+// Units of the parameters of proposed models, from units of x and y
+const EFIT_MODEL_UNITS = {
+	"constant": (x, y) => [y],
+	"linear": (x, y) => [Unit.div(y, x), y],
+	"quadratic": (x, y) => [Unit.div(y, Unit.mul(x, x)), Unit.div(y, x), y],
+	"inverse": (x, y) => [Unit.mul(y, x)],
+	"exponential": (x, y) => [y, Unit.div(1, x)],
+};
+
+export function parameterUnits(model, xUnit, yUnit) {
+	if(!(model in EFIT_MODEL_UNITS)) {
+		throw new Error(`Unknown model "${model}"`);
+	}
+
+	return EFIT_MODEL_UNITS[model](xUnit, yUnit);
+}
+
 export class FitBuilder {
 	constructor(model) {
 		if(typeof model !== "function") {
+			if(!(model in EFIT_DEFAULT_MODELS)) {
+				throw new Error(`Unknown model "${model}"`);
+			}
+
 			this.model = model;
 			model = EFIT_DEFAULT_MODELS[model];
 		} else {
@@ -240,6 +263,6 @@ export class FitBuilder {
 
 		const rSquared = rSquaredNum / rSquaredDen;
 
-		return { result, uncertainty, rSquared };
+		return { result, uncertainty, rSquared, chiSquared: fitFunctionMin };
 	}
 }
@@ -1,4 +1,5 @@
-import { gradientDescent, newtonRoots, FitBuilder } from "./fit.js";
+import { gradientDescent, newtonRoots, parameterUnits, FitBuilder } from "./fit.js";
+import { Unit } from "./unit.js";
 
 function round(x) {
 	return Math.round(x * 100) / 100;
@@ -51,6 +52,21 @@ test("fits quadratic function", () => {
 	expect(uncertainty).toEqual([0.03, 1.29, 16.48]);
 });
 
+test("gives chi-squared of fits", () => {
+	const xs = [1, 2, 3, 4, 5];
+	const ys = [3.1, 4.9, 7.2, 8.8, 11.1];
+	const uys = [0.1, 0.1, 0.2, 0.2, 0.2];
+
+	const { result, chiSquared } = new FitBuilder("linear").solve(xs, ys, uys);
+	const expected = xs.reduce((acc, x, i) => {
+		const residual = (ys[i] - result[0] * x - result[1]) / uys[i];
+		return acc + residual * residual;
+	}, 0);
+
+	expect(chiSquared).toBeCloseTo(expected, 6);
+	expect(chiSquared).toBeGreaterThan(0);
+});
+
 test.skip("fits exponential function", () => {
 	const xs = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
 	const ys = [2.82, 2.70, 2.44, 2.18, 1.90, 1.76, 1.55, 1.47, 1.31, 1.12];
@@ -65,3 +81,12 @@ test.skip("fits exponential function", () => {
 	expect(result).toEqual([3.25, -0.1]);
 	expect(uncertainty).toEqual([0.03, 1.29]);
 });
+
+test("derives units of parameters", () => {
+	const units = parameterUnits("quadratic", Unit.fromString("s"), Unit.fromString("m"))
+		.map(unit => unit.toString());
+
+	expect(units).toEqual(["m/(s·s)", "m/s", "m"]);
+	expect(() => parameterUnits("cubic")).toThrow("Unknown model");
+	expect(() => new FitBuilder("cubic")).toThrow("Unknown model");
+});
@@ -0,0 +1,119 @@
+/// Emal – Acquire and process scientific data with ease
+/// history.js – Undo and redo of reversible operations.
+///
+/// Copyright (C) 2023 Titouan (Stalone) S.
+/// This program is free software: you can redistribute it and/or modify it
+/// under the terms of the GNU Affero General Public License as published by
+/// the Free Software Foundation, version 3.
+///
+/// Operations are recorded as commands, made of a label and of two
+/// functions: one reverting the operation, one doing it again.
+/// Several commands can be grouped into a single one, so that a user
+/// action is undone at once.
+
+const EHISTORY_DEFAULT_MAX_SIZE = 100;
+
+export class History {
+	constructor(maxSize = EHISTORY_DEFAULT_MAX_SIZE) {
+		this.maxSize = maxSize;
+		this.undoStack = new Array();
+		this.redoStack = new Array();
+		// Commands of the group being recorded, if any
+		this.groupStack = new Array();
+		this.groupDepth = 0;
+		// Commands are not recorded while being undone or redone
+		this.isReplaying = false;
+	}
+
+	record(command) {
+		if(this.isReplaying) return;
+
+		if(this.groupDepth > 0) {
+			this.groupStack.push(command);
+			return;
+		}
+
+		this.undoStack.push(command);
+		this.redoStack = new Array();
+
+		// Forget oldest commands
+		if(this.undoStack.length > this.maxSize) {
+			this.undoStack.splice(0, this.undoStack.length - this.maxSize);
+		}
+	}
+
+	// Record all commands issued by `fn` as a single command. If `fn`
+	// throws, commands already done are reverted.
+	group(fn, label = "group") {
+		if(this.groupDepth === 0) this.groupStack = new Array();
+		const groupStart = this.groupStack.length;
+
+		this.groupDepth++;
+
+		try {
+			fn();
+		} catch(e) {
+			const doneCommands = this.groupStack.splice(groupStart);
+			this.groupDepth--;
+			this.replay(() => doneCommands.reverse().forEach(command => command.undo()));
+
+			throw e;
+		}
+
+		this.groupDepth--;
+		if(this.groupDepth > 0) return;
+
+		const commands = this.groupStack;
+		this.groupStack = new Array();
+		if(commands.length === 0) return;
+
+		this.record({
+			label,
+			undo: () => commands.slice().reverse().forEach(command => command.undo()),
+			redo: () => commands.forEach(command => command.redo()),
+		});
+	}
+
+	replay(fn) {
+		this.isReplaying = true;
+
+		try {
+			fn();
+		} finally {
+			this.isReplaying = false;
+		}
+	}
+
+	clear() {
+		this.undoStack = new Array();
+		this.redoStack = new Array();
+	}
+
+	canUndo() {
+		return this.undoStack.length > 0;
+	}
+
+	canRedo() {
+		return this.redoStack.length > 0;
+	}
+
+	undo() {
+		const command = this.undoStack.pop();
+		if(!command) return false;
+
+		this.replay(() => command.undo());
+		this.redoStack.push(command);
+
+		return true;
+	}
+
+	redo() {
+		const command = this.redoStack.pop();
+		if(!command) return false;
+
+		this.replay(() => command.redo());
+		this.undoStack.push(command);
+
+		return true;
+	}
+}
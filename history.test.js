@@ -0,0 +1,78 @@
+import { History } from "./history.js";
+
+function counterCommand(counter, delta) {
+	counter.value += delta;
+
+	return {
+		label: `Add ${delta}`,
+		undo: () => { counter.value -= delta; },
+		redo: () => { counter.value += delta; },
+	};
+}
+
+test("undoes and redoes commands", () => {
+	const history = new History();
+	const counter = { value: 0 };
+
+	history.record(counterCommand(counter, 1));
+	history.record(counterCommand(counter, 2));
+
+	expect(history.undo()).toBe(true);
+	expect(counter.value).toEqual(1);
+	expect(history.redo()).toBe(true);
+	expect(counter.value).toEqual(3);
+	expect(history.redo()).toBe(false);
+});
+
+test("forgets redone commands on new command", () => {
+	const history = new History();
+	const counter = { value: 0 };
+
+	history.record(counterCommand(counter, 1));
+	history.undo();
+	history.record(counterCommand(counter, 5));
+
+	expect(history.canRedo()).toBe(false);
+	expect(counter.value).toEqual(5);
+});
+
+test("groups commands", () => {
+	const history = new History();
+	const counter = { value: 0 };
+
+	history.group(() => {
+		history.record(counterCommand(counter, 1));
+		history.group(() => history.record(counterCommand(counter, 2)));
+	});
+
+	expect(history.undoStack.length).toEqual(1);
+	history.undo();
+	expect(counter.value).toEqual(0);
+	history.redo();
+	expect(counter.value).toEqual(3);
+});
+
+test("reverts failing groups", () => {
+	const history = new History();
+	const counter = { value: 0 };
+
+	expect(() => history.group(() => {
+		history.record(counterCommand(counter, 1));
+		throw new Error("failure");
+	})).toThrow("failure");
+
+	expect(counter.value).toEqual(0);
+	expect(history.canUndo()).toBe(false);
+});
+
+test("limits history size", () => {
+	const history = new History(2);
+	const counter = { value: 0 };
+
+	[1, 2, 3].forEach(delta => history.record(counterCommand(counter, delta)));
+
+	expect(history.undo()).toBe(true);
+	expect(history.undo()).toBe(true);
+	expect(history.undo()).toBe(false);
+	expect(counter.value).toEqual(1);
+});
@@ -11,11 +11,37 @@
 /// access and update of the data.
 /// The manager stores columns and rows independently, and
 /// computes all derived values.
+/// Data is organised in named datasets, such as a calibration series and
+/// a measurement series, each having its own columns and rows. Constants
+/// are shared by all datasets. Operations on columns and rows apply to
+/// the current dataset.
+/// Changes are notified to listeners through the following events:
+/// datasetAdded, datasetRemoved, datasetSelected, columnAdded,
+/// columnChanged, columnRemoved, rowAdded, rowUpdated, rowRemoved,
+/// maskChanged, constantChanged, constantRemoved and recomputed. Events
+/// about columns, rows and masks give the name of their dataset; events
+/// about rows also give the errors of their invalid cells.
+/// All operations modifying the manager are recorded in an history, so
+/// that they can be undone.
 
-import { Expression } from "./expression.js";
+import { acquire } from "./acquisition.js";
+import { CodeBlock, applyCodeBlock } from "./code.js";
+import { importDelimited } from "./csv.js";
+import { Observable } from "./events.js";
+import { exportTable } from "./export.js";
+import { FitBuilder, parameterUnits } from "./fit.js";
+import { History } from "./history.js";
+import { MISSING, isMissing } from "./missing.js";
+import { Expression, isBuiltinFunction } from "./expression.js";
 import { EmalNumber } from "./number.js";
+import { Quantity } from "./quantity.js";
+import { AGGREGATES, aggregate, aggregateUnit } from "./stats.js";
+import { SESSION_FORMAT, SESSION_VERSION, encodeValue, decodeValue, migrateSession } from "./session.js";
+import { UncertainValue } from "./uncertainty.js";
 import { Unit } from "./unit.js";
 
+const EMANAGER_DEFAULT_DATASET = "main";
+
 class Column {
 	constructor(name) {
 		this.name = name;
@@ -32,14 +58,92 @@ class Column {
 	}
 
 	// A column can handle an expression used to compute uncertainty
-	// for all data rows belonging to the column.
+	// for all data rows belonging to the column. The rule is either
+	// an expression of the value (as an `Expression` or a string), a
+	// fixed absolute uncertainty or a relative one, such as "2%".
+	// Rules can only reference the value of the column.
 	setUncertainty(uncertainty) {
-		this.uncertainty = uncertainty;
+		let rule = uncertainty;
+
+		if(typeof uncertainty === "string" && uncertainty.trim().endsWith("%")) {
+			const percentage = EmalNumber.fromString(uncertainty.trim().slice(0, -1).trim());
+			const ratio = new EmalNumber(percentage.rawInt, percentage.decimalPlace + 2n);
+
+			rule = new Expression(`${ratio.toExactString()} * ${this.name}`);
+		} else if(typeof uncertainty === "string") {
+			rule = new Expression(uncertainty);
+		} else if(uncertainty instanceof EmalNumber) {
+			rule = new Expression(uncertainty.toExactString());
+		}
+
+		if(rule && rule.error) {
+			const { message, position } = rule.error;
+			throw new Error(`Column "${this.name}" has an invalid uncertainty rule: ${message} at character ${position + 1}`);
+		}
+
+		const unknownNames = rule ? rule.tokens
+			.filter(tok => (tok.type === "variable" && tok.value !== this.name)
+				|| (tok.type === "function" && !isBuiltinFunction(tok.value)))
+			.map(tok => tok.value) : [];
+
+		if(unknownNames.length > 0) {
+			throw new Error(`Uncertainty rule of column "${this.name}" can only reference its value, not "${unknownNames[0]}"`);
+		}
+
+		this.uncertainty = rule;
 	}
 
-	setComputeExpression(expressionStr) {
+	// Entered values may be given as quantities, or as strings such as
+	// "12.5 µL", in any unit of the dimension of the column. They are
+	// converted to the unit of the column; strings without unit are
+	// expressed in it.
+	convertInput(value) {
+		if(isMissing(value)) return MISSING;
+		if(typeof value === "string") value = Quantity.fromString(value, this.unit);
+		if(!(value instanceof Quantity)) return value;
+
+		if(!Unit.sameDimension(value.unit, this.unit)) {
+			throw new Error(`Column "${this.name}" expects ${this.unit.toString()}, not ${value.unit.toString()}`);
+		}
+
+		return value.convertTo(this.unit).value;
+	}
+
+	// Entered values become uncertain values using the uncertainty rule
+	// of the column, unless their uncertainty is already known.
+	applyUncertainty(value) {
+		if(!this.uncertainty || !(value instanceof EmalNumber)) return value;
+
+		const absU = this.uncertainty.evaluate({ [this.name]: value });
+		return new UncertainValue(value, EmalNumber.abs(absU));
+	}
+
+	// A computed column may declare its unit, in which its values are
+	// expressed instead of the unit derived from its expression.
+	setComputeExpression(expressionStr, unitStr) {
+		const expression = new Expression(expressionStr);
+
+		if(expression.error) {
+			const { message, position } = expression.error;
+			throw new Error(`Column "${this.name}" has an invalid expression: ${message} at character ${position + 1}`);
+		}
+
 		this.isComputed = true;
-		this.expression = new Expression(expressionStr);
+		this.expression = expression;
+		this.declaredUnit = typeof unitStr === "undefined" ? undefined : Unit.fromString(unitStr);
+	}
+
+	// Derive the unit of a computed column from the units of its dependees.
+	// A declared unit must have the dimension of the derived one.
+	deriveUnit(units) {
+		const unit = Unit.from(this.computeValueFor(units));
+		if(!this.declaredUnit) return unit;
+
+		if(!Unit.sameDimension(unit, this.declaredUnit)) {
+			throw new Error(`declared in ${this.declaredUnit.toString()} but computed in ${unit.toString()}`);
+		}
+
+		return this.declaredUnit;
 	}
 
 	computeValueFor(data) {
@@ -63,74 +167,1337 @@ class Column {
 	}
 }
 
-export class EmalManager {
-	constructor() {
+function sameValue(a, b) {
+	if(a === b) return true;
+	if(typeof a === "undefined" || typeof b === "undefined") return false;
+
+	const type = (a.constructor.TYPE_RANK || 0) >= (b.constructor.TYPE_RANK || 0) ? a.constructor : b.constructor;
+	return type.equals(a, b);
+}
+
+// List cells which differ between two versions of a row, with their
+// previous and current values.
+function rowChanges(previous, current) {
+	const columnNames = new Set(Object.keys(previous).concat(Object.keys(current)));
+
+	return Array.from(columnNames).reduce((acc, columnName) => {
+		if(!sameValue(previous[columnName], current[columnName])) {
+			acc[columnName] = {
+				previous: previous[columnName],
+				current: current[columnName],
+			};
+		}
+
+		return acc;
+	}, {});
+}
+
+// Constant values are either given as strings, or as already parsed
+// numbers or uncertain values.
+function parseConstantValue(valueStr, uncertaintyStr) {
+	if(typeof valueStr !== "string") return valueStr;
+
+	if(typeof uncertaintyStr === "undefined") {
+		return EmalNumber.fromString(valueStr);
+	}
+
+	return UncertainValue.fromString(valueStr, uncertaintyStr);
+}
+
+class Dataset {
+	constructor(name) {
+		this.name = name;
 		this.columns = new Array();
 		this.rows = new Array();
+		// Computed columns, ordered so that each column comes after all
+		// the columns it depends on.
+		this.computeOrder = new Array();
+		// Masks of rows and cells, by row
+		this.masks = new Map();
+	}
+
+	getColumn(name) {
+		return this.columns.find(col => col.name === name);
+	}
+}
+
+export class EmalManager extends Observable {
+	// Options:
+	// - historySize: number of operations which can be undone;
+	// - dataset: name of the first dataset, "main" by default.
+	constructor(options = {}) {
+		super();
+
+		this.history = new History(options.historySize);
+		this.datasets = [new Dataset(options.dataset || EMANAGER_DEFAULT_DATASET)];
+		this.dataset = this.datasets[0];
 		this.constants = new Array();
+		// Constants derived from columns, ordered so that each constant
+		// comes after all the nodes it depends on, and all computed nodes
+		// (columns of all datasets and derived constants) in such order.
+		this.derivedOrder = new Array();
+		this.nodeOrder = new Array();
+		// Last result of each fit, with its input data
+		this.fitResults = new Map();
+	}
+
+	// Columns, rows and masks are those of the current dataset
+	get columns() {
+		return this.dataset.columns;
+	}
+
+	get rows() {
+		return this.dataset.rows;
+	}
+
+	get masks() {
+		return this.dataset.masks;
+	}
+
+	get computeOrder() {
+		return this.dataset.computeOrder;
+	}
+
+	addDataset(name) {
+		if(this.getDataset(name)) {
+			throw new Error(`Dataset "${name}" already exists`);
+		}
+
+		this.datasets.push(new Dataset(name));
+		this.emit("datasetAdded", { name });
+
+		this.record({
+			label: `Add dataset "${name}"`,
+			undo: () => this.deleteDataset(name),
+			redo: () => this.addDataset(name),
+		});
+	}
+
+	getDataset(name) {
+		return this.datasets.find(dataset => dataset.name === name);
+	}
+
+	getExistingDataset(name) {
+		const dataset = this.getDataset(name);
+
+		if(!dataset) {
+			throw new Error(`Unknown dataset "${name}"`);
+		}
+
+		return dataset;
+	}
+
+	// Select the dataset to which following operations apply. Selecting a
+	// dataset is not an operation recorded in the history.
+	useDataset(name) {
+		this.dataset = this.getExistingDataset(name);
+		this.emit("datasetSelected", { name });
+	}
+
+	// Run a function with another dataset temporarily selected. When the
+	// function removes the dataset selected before, such as when undoing
+	// its creation, the dataset of the function stays selected.
+	withDataset(name, fn) {
+		const previousDataset = this.dataset;
+		this.dataset = this.getExistingDataset(name);
+
+		try {
+			return fn();
+		} finally {
+			if(this.datasets.includes(previousDataset)) {
+				this.dataset = previousDataset;
+			} else {
+				this.emit("datasetSelected", { name: this.dataset.name });
+			}
+		}
+	}
+
+	// The current dataset cannot be removed, nor a dataset from which
+	// constants are derived.
+	removeDataset(name) {
+		const dataset = this.getExistingDataset(name);
+
+		if(dataset === this.dataset) {
+			throw new Error(`Dataset "${name}" is the current dataset and cannot be removed`);
+		}
+
+		const dependents = this.constants.filter(constant => constant.source && constant.source.dataset === name);
+
+		if(dependents.length > 0) {
+			const dependentNames = dependents.map(constant => constant.name).join(", ");
+			throw new Error(`Dataset "${name}" cannot be removed: used by ${dependentNames}`);
+		}
+
+		const index = this.deleteDataset(name);
+
+		this.record({
+			label: `Remove dataset "${name}"`,
+			undo: () => this.restoreDataset(dataset, index),
+			redo: () => this.removeDataset(name),
+		});
+	}
+
+	// Removing the current dataset, such as when undoing its creation,
+	// selects the dataset before it instead.
+	deleteDataset(name) {
+		const dataset = this.getExistingDataset(name);
+		const index = this.datasets.indexOf(dataset);
+
+		this.datasets.splice(index, 1);
+		this.updateGraph();
+		this.emit("datasetRemoved", { name, dataset });
+
+		if(dataset === this.dataset) this.useDataset(this.datasets[Math.max(index - 1, 0)].name);
+
+		return index;
+	}
+
+	restoreDataset(dataset, index) {
+		this.datasets.splice(index, 0, dataset);
+		this.updateGraph();
+		this.emit("datasetAdded", { name: dataset.name });
+	}
+
+	datasetOf(column) {
+		return this.datasets.find(dataset => dataset.columns.includes(column));
+	}
+
+	// Events about columns, rows and masks concern the current dataset
+	datasetEvent(eventName, payload) {
+		this.emit(eventName, Object.assign({ dataset: this.dataset.name }, payload));
+	}
+
+	// Operations are undone and redone in the dataset they were done in
+	record(command) {
+		const datasetName = this.dataset.name;
+
+		this.history.record({
+			label: command.label,
+			undo: () => this.withDataset(datasetName, command.undo),
+			redo: () => this.withDataset(datasetName, command.redo),
+		});
 	}
 
 	addUserColumn(name, unitStr, uncertainty) {
+		this.checkName(name);
+
 		const column = new Column(name);
 		column.setUnit(unitStr);
 		column.setUncertainty(uncertainty);
 
 		this.columns.push(column);
+		this.updateGraphOrRevert(() => this.columns.pop());
+		this.datasetEvent("columnAdded", { name, column });
+
+		this.record({
+			label: `Add column "${name}"`,
+			undo: () => this.deleteColumn(name),
+			redo: () => this.addUserColumn(name, unitStr, uncertainty),
+		});
 	}
 
-	addComputedColumn(name, expressionStr) {
+	// A computed column may reference columns which are not declared yet:
+	// its unit and values are then left undefined until all its dependees
+	// exist. Names which are neither columns nor constants are given as
+	// `unresolved` in the event payload.
+	addComputedColumn(name, expressionStr, unitStr) {
+		this.checkName(name);
+
 		const column = new Column(name);
-		column.setComputeExpression(expressionStr);
+		column.setComputeExpression(expressionStr, unitStr);
 
-		const dependsOn = column.dependsOn();
-		const dependsOnUnits = {};
-		
-		// Each column on which the current on depends
-		// needs to notify when updated.
-		dependsOn.forEach(columnName => {
-			const dependsOnColumn = this.getColumn(columnName);
+		this.columns.push(column);
+		this.updateGraphOrRevert(() => this.columns.pop(), "column", column);
+		this.datasetEvent("columnAdded", { name, column, unresolved: this.unresolvedNames(column) });
+		this.recomputeRows();
 
-			dependsOnColumn.addDependent(column);
-			dependsOnUnits[columnName] = dependsOnColumn.unit;
+		this.record({
+			label: `Add column "${name}"`,
+			undo: () => this.deleteColumn(name),
+			redo: () => this.addComputedColumn(name, expressionStr, unitStr),
 		});
+	}
 
-		// Compute unit from column dependees
-		const unit = column.computeValueFor(dependsOnUnits);
-		column.setUnit(unit);
+	// Replace the expression (and declared unit) of a computed column: units
+	// and values of the column and of its dependents are recomputed.
+	redefineColumn(name, expressionStr, unitStr) {
+		const column = this.getExistingColumn(name);
 
-		this.columns.push(column);
+		if(!column.isComputed) {
+			throw new Error(`Column "${name}" is not computed and cannot be redefined`);
+		}
+
+		const previousExpressionStr = column.expression.toString();
+		const previousUnitStr = column.declaredUnit ? column.declaredUnit.toString() : undefined;
+
+		column.setComputeExpression(expressionStr, unitStr);
+		this.updateGraphOrRevert(() => column.setComputeExpression(previousExpressionStr, previousUnitStr), "column", column);
+		this.datasetEvent("columnChanged", { name, column, change: "expression", unresolved: this.unresolvedNames(column) });
+		this.recomputeRows();
+
+		this.record({
+			label: `Redefine column "${name}"`,
+			undo: () => this.redefineColumn(name, previousExpressionStr, previousUnitStr),
+			redo: () => this.redefineColumn(name, expressionStr, unitStr),
+		});
+	}
+
+	// Renaming a column also renames references to it in the expressions
+	// of other computed columns. Columns referencing the new name before
+	// now depend on the column: a cycle would go through it.
+	renameColumn(oldName, newName) {
+		const column = this.getExistingColumn(oldName);
+		this.checkName(newName);
+
+		this.applyRename(column, oldName, newName);
+		this.updateGraphOrRevert(() => this.applyRename(column, newName, oldName), "column", column);
+		this.datasetEvent("columnChanged", { name: newName, column, change: "name", previousName: oldName });
+		this.recomputeRows();
+
+		this.record({
+			label: `Rename column "${oldName}"`,
+			undo: () => this.renameColumn(newName, oldName),
+			redo: () => this.renameColumn(oldName, newName),
+		});
+	}
+
+	applyRename(column, oldName, newName) {
+		column.name = newName;
+
+		this.columns
+			.filter(col => col.isComputed)
+			.forEach(col => col.expression.renameVariable(oldName, newName));
+
+		if(column.uncertainty) column.uncertainty.renameVariable(oldName, newName);
+
+		this.constants
+			.filter(constant => constant.source && constant.source.dataset === this.dataset.name)
+			.forEach(({ source }) => {
+				source.columns = source.columns.map(name => name === oldName ? newName : name);
+			});
+
+		this.rows.forEach(row => {
+			if(oldName in row) row[newName] = row[oldName];
+			delete row[oldName];
+		});
+
+		this.masks.forEach(mask => {
+			if(oldName in mask.cells) mask.cells[newName] = mask.cells[oldName];
+			delete mask.cells[oldName];
+		});
+	}
+
+	// A column cannot be removed while other columns depend on it.
+	removeColumn(name) {
+		const column = this.getExistingColumn(name);
+
+		if(column.dependents.length > 0) {
+			const dependentNames = column.dependents.map(col => col.name).join(", ");
+			throw new Error(`Column "${name}" cannot be removed: used by ${dependentNames}`);
+		}
+
+		const { index, cells, cellMasks } = this.deleteColumn(name);
+
+		this.record({
+			label: `Remove column "${name}"`,
+			undo: () => this.restoreColumn(column, index, cells, cellMasks),
+			redo: () => this.removeColumn(name),
+		});
+	}
+
+	// Remove a column along with its cells, even if other columns depend
+	// on it. Removed cells and their masks are returned so that the column
+	// can be restored.
+	deleteColumn(name) {
+		const column = this.getExistingColumn(name);
+		const index = this.columns.indexOf(column);
+		const cells = this.rows.map(row => row[name]);
+		const cellMasks = this.rows.map(row => {
+			const mask = this.masks.get(row);
+			return mask ? mask.cells[name] : undefined;
+		});
+
+		this.columns.splice(index, 1);
+		this.rows.forEach(row => delete row[name]);
+		this.masks.forEach(mask => delete mask.cells[name]);
+
+		this.updateGraph();
+		this.datasetEvent("columnRemoved", { name, column });
+		this.recomputeRows();
+
+		return { index, cells, cellMasks };
+	}
+
+	restoreColumn(column, index, cells, cellMasks) {
+		this.columns.splice(index, 0, column);
+
+		this.rows.forEach((row, rowIndex) => {
+			if(typeof cells[rowIndex] !== "undefined") row[column.name] = cells[rowIndex];
+			if(typeof cellMasks[rowIndex] === "undefined") return;
+
+			const mask = this.masks.get(row) || { reason: undefined, cells: {} };
+			mask.cells[column.name] = cellMasks[rowIndex];
+			this.masks.set(row, mask);
+		});
+
+		this.updateGraph();
+		this.datasetEvent("columnAdded", { name: column.name, column });
+		this.recomputeRows();
+	}
+
+	// Changing the unit of a user column does not convert its data, but
+	// units of computed columns are derived again.
+	setColumnUnit(name, unitStr) {
+		const column = this.getExistingColumn(name);
+
+		if(column.isComputed) {
+			throw new Error(`Column "${name}" is computed: its unit is derived`);
+		}
+
+		const previousUnit = column.unit;
+
+		column.setUnit(unitStr);
+		this.updateGraphOrRevert(() => column.setUnit(previousUnit));
+		this.datasetEvent("columnChanged", { name, column, change: "unit" });
+		this.recomputeRows();
+
+		this.record({
+			label: `Change unit of column "${name}"`,
+			undo: () => this.setColumnUnit(name, previousUnit),
+			redo: () => this.setColumnUnit(name, unitStr),
+		});
+	}
+
+	// Changing the uncertainty rule of a user column replaces the
+	// uncertainty of all its cells.
+	setColumnUncertainty(name, uncertainty) {
+		const column = this.getExistingColumn(name);
+
+		if(column.isComputed) {
+			throw new Error(`Column "${name}" is computed: its uncertainty is propagated`);
+		}
+
+		const previousUncertainty = column.uncertainty;
+		const previousCells = this.rows.map(row => row[name]);
+
+		// Cells are given their new uncertainty before the rule changes, so
+		// that a rule failing on some value leaves the column untouched.
+		const ruleColumn = new Column(name);
+		ruleColumn.setUncertainty(uncertainty);
+
+		const cells = previousCells.map(cell => {
+			if(typeof cell === "undefined") return cell;
+			return ruleColumn.applyUncertainty(cell instanceof UncertainValue ? cell.value : cell);
+		});
+
+		column.uncertainty = ruleColumn.uncertainty;
+		this.datasetEvent("columnChanged", { name, column, change: "uncertainty" });
+
+		this.recomputeRows((row, index) => {
+			if(typeof cells[index] !== "undefined") row[name] = cells[index];
+		});
+
+		// Cells may have had uncertainties not given by the rule, they
+		// are restored as they were.
+		this.record({
+			label: `Change uncertainty of column "${name}"`,
+			undo: () => {
+				column.setUncertainty(previousUncertainty);
+				this.datasetEvent("columnChanged", { name, column, change: "uncertainty" });
+
+				this.recomputeRows((row, index) => {
+					if(typeof previousCells[index] !== "undefined") row[name] = previousCells[index];
+				});
+			},
+			redo: () => this.setColumnUncertainty(name, uncertainty),
+		});
 	}
 
 	getColumn(name) {
 		return this.columns.find(col => col.name === name);
 	}
 
-	addConstant(name, unitStr, valueStr) {
-		this.constants.push({
+	getExistingColumn(name) {
+		const column = this.getColumn(name);
+
+		if(!column) {
+			throw new Error(`Unknown column "${name}"`);
+		}
+
+		return column;
+	}
+
+	// Columns and constants share the same namespace, as both can be
+	// referenced in expressions. Constants are checked against the
+	// columns of all datasets.
+	checkName(name, datasets = [this.dataset]) {
+		if(datasets.some(dataset => dataset.getColumn(name))) {
+			throw new Error(`Column "${name}" already exists`);
+		}
+
+		if(this.getConstant(name)) {
+			throw new Error(`Constant "${name}" already exists`);
+		}
+	}
+
+	// Columns of all datasets and constants are the nodes of the dependency
+	// graph. Dependees are given by name, along with the node they refer
+	// to when it exists: names in expressions refer to columns of the same
+	// dataset or to constants, while derived constants depend on columns
+	// of their source dataset.
+	dependeesOf(node) {
+		if(node instanceof Column) {
+			const dataset = this.datasetOf(node);
+
+			return node.dependsOn().map(name => ({
+				name,
+				node: dataset.getColumn(name) || this.getConstant(name),
+			}));
+		}
+
+		if(node.source) {
+			const dataset = this.getDataset(node.source.dataset);
+
+			return node.source.columns.map(name => ({
+				name,
+				node: dataset && dataset.getColumn(name),
+			}));
+		}
+
+		return [];
+	}
+
+	// Names used by a node which do not refer to any node yet
+	unresolvedNames(node) {
+		return this.dependeesOf(node)
+			.filter(({ node: dependee }) => !dependee)
+			.map(({ name }) => name);
+	}
+
+	// A node must not be part of a cycle in the dependency graph, otherwise
+	// no evaluation order would exist. The graph is walked depth-first from
+	// the node: reaching it again means a cycle. Each node is explored once,
+	// since nodes already explored do not lead back to the node.
+	checkCycles(kind, node) {
+		const visited = new Set();
+
+		const visit = (currentNode, path) => {
+			this.dependeesOf(currentNode).forEach(({ name, node: dependee }) => {
+				if(!dependee) return;
+
+				if(dependee === node) {
+					const cycle = path.concat(name).join(" -> ");
+					throw new Error(`Cyclic definition of ${kind} "${node.name}": ${cycle}`);
+				}
+
+				if(visited.has(dependee)) return;
+				visited.add(dependee);
+
+				visit(dependee, path.concat(name));
+			});
+		};
+
+		visit(node, [node.name]);
+	}
+
+	// Rebuild the dependency graph: dependents of each column and
+	// evaluation order of computed columns and derived constants
+	// (topological sort).
+	updateGraph() {
+		const columns = this.datasets.reduce((acc, dataset) => acc.concat(dataset.columns), []);
+
+		columns.forEach(column => {
+			column.dependents = new Array();
+		});
+
+		const nodes = columns.concat(this.constants);
+
+		nodes.forEach(node => {
+			this.dependeesOf(node).forEach(({ node: dependee }) => {
+				if(dependee instanceof Column) dependee.addDependent(node);
+			});
+		});
+
+		const visited = new Set();
+		this.nodeOrder = new Array();
+
+		const visit = node => {
+			if(visited.has(node)) return;
+			visited.add(node);
+
+			this.dependeesOf(node).forEach(({ node: dependee }) => {
+				if(dependee) visit(dependee);
+			});
+
+			if(node.isComputed || node.source) this.nodeOrder.push(node);
+		};
+
+		nodes.forEach(visit);
+
+		this.datasets.forEach(dataset => {
+			dataset.computeOrder = this.nodeOrder.filter(node => dataset.columns.includes(node));
+		});
+
+		this.derivedOrder = this.nodeOrder.filter(node => !(node instanceof Column));
+
+		this.updateUnits();
+	}
+
+	// A change to the graph must not introduce a cycle through the changed
+	// node, nor give inconsistent units to computed columns: it is
+	// otherwise reverted before the error is thrown.
+	updateGraphOrRevert(revert, kind, changedNode) {
+		try {
+			if(changedNode) this.checkCycles(kind, changedNode);
+			this.updateGraph();
+		} catch(e) {
+			revert();
+			this.updateGraph();
+			throw e;
+		}
+	}
+
+	// Units of computed columns and derived constants are derived from the
+	// units of their dependees, following the evaluation order.
+	updateUnits() {
+		const units = new Map();
+
+		this.constants
+			.filter(constant => !constant.source)
+			.forEach(constant => units.set(constant, constant.unit));
+
+		this.datasets.forEach(dataset => {
+			dataset.columns
+				.filter(column => !column.isComputed)
+				.forEach(column => units.set(column, column.unit));
+		});
+
+		this.nodeOrder.forEach(node => {
+			const dependees = this.dependeesOf(node);
+			const isResolved = dependees.every(({ node: dependee }) => dependee && units.get(dependee));
+			const variables = dependees.reduce((acc, { name, node: dependee }) => {
+				if(dependee) acc[name] = units.get(dependee);
+				return acc;
+			}, {});
+
+			if(node instanceof Column) {
+				try {
+					node.setUnit(isResolved ? node.deriveUnit(variables) : undefined);
+				} catch(e) {
+					throw new Error(`Column "${node.name}" has inconsistent units: ${e.message}`);
+				}
+			} else {
+				node.unit = isResolved ? this.deriveUnit(node, variables) : undefined;
+			}
+
+			if(node.unit) units.set(node, node.unit);
+		});
+	}
+
+	// Compute all derived values of a row in place. Columns whose dependees
+	// are not all declared are left empty, while cells depending on a
+	// missing value (see missing.js) are missing.
+	// Values are computed as quantities, so that values of same dimension
+	// expressed in different units are converted. Invalid cells, such as
+	// divisions by zero, are missing too: their errors are given by column
+	// name in `errors`.
+	computeRow(row, errors = {}) {
+		const variables = {};
+		const quantityOf = (value, unit) => {
+			if(typeof value === "undefined" || isMissing(value)) return MISSING;
+			return new Quantity(value, unit);
+		};
+
+		this.constants.forEach(constant => {
+			variables[constant.name] = quantityOf(constant.value, constant.unit);
+		});
+
+		this.columns
+			.filter(column => !column.isComputed)
+			.forEach(column => {
+				variables[column.name] = quantityOf(row[column.name], column.unit);
+			});
+
+		this.computeOrder.forEach(column => {
+			if(column.unit) {
+				try {
+					const result = column.computeValueFor(variables);
+					row[column.name] = isMissing(result) ? MISSING : Quantity.from(result).convertTo(column.unit).value;
+				} catch(e) {
+					row[column.name] = MISSING;
+					errors[column.name] = e.message;
+				}
+
+				variables[column.name] = quantityOf(row[column.name], column.unit);
+			} else {
+				delete row[column.name];
+				delete variables[column.name];
+			}
+		});
+
+		return row;
+	}
+
+	// Recompute all rows of all datasets, after an optional change applied
+	// to each row of the current dataset, and notify which cells were
+	// modified. Derived constants are then updated.
+	recomputeRows(updateRow = () => {}) {
+		const currentDataset = this.dataset;
+
+		this.datasets.forEach(dataset => this.withDataset(dataset.name, () => {
+			const rows = new Array();
+
+			this.rows.forEach((row, index) => {
+				const previous = Object.assign({}, row);
+				const errors = {};
+
+				if(dataset === currentDataset) updateRow(row, index);
+				this.computeRow(row, errors);
+
+				const changes = rowChanges(previous, row);
+				if(Object.keys(changes).length > 0 || Object.keys(errors).length > 0) rows.push({ index, changes, errors });
+			});
+
+			this.datasetEvent("recomputed", { rows });
+		}));
+
+		this.updateDerivedConstants();
+	}
+
+	// Derived constants are computed in evaluation order. When one of them
+	// changes, rows are recomputed, which in turn updates the following
+	// derived constants.
+	updateDerivedConstants() {
+		for(const constant of this.derivedOrder) {
+			const previous = constant.value;
+			constant.value = this.deriveValue(constant);
+
+			if(!sameValue(previous, constant.value)) {
+				this.emit("constantChanged", { name: constant.name, constant, previous });
+				this.recomputeRows();
+				return;
+			}
+		}
+	}
+
+	// Derived constants are either an aggregate of a column or a parameter
+	// of a fit of two columns.
+	deriveUnit({ source }, units) {
+		const [xUnit, yUnit] = source.columns.map(name => units[name]);
+
+		if(source.type === "fit") {
+			return parameterUnits(source.model, xUnit, yUnit)[source.parameter];
+		}
+
+		return aggregateUnit(source.aggregate, xUnit);
+	}
+
+	// A derived constant has no value while its source cannot be computed,
+	// for instance without enough data.
+	deriveValue({ unit, source }) {
+		if(!unit) return undefined;
+
+		try {
+			return this.withDataset(source.dataset, () => {
+				if(source.type === "fit") {
+					const [xName, yName] = source.columns;
+					return this.solveFit(xName, yName, source.model).parameters[source.parameter];
+				}
+
+				return aggregate(source.aggregate, this.columnValues(source.columns[0]));
+			});
+		} catch(e) {
+			return undefined;
+		}
+	}
+
+	// Cells of a column holding a value: empty, missing and masked cells
+	// are skipped.
+	columnValues(name) {
+		this.getExistingColumn(name);
+
+		return this.rows
+			.filter(row => typeof this.maskReason(row, name) === "undefined")
+			.map(row => row[name])
+			.filter(value => typeof value !== "undefined" && !isMissing(value));
+	}
+
+	// Compute an aggregate (see stats.js) of a column, as a quantity
+	// expressed in the relevant unit.
+	aggregate(columnName, aggregateName) {
+		const column = this.getExistingColumn(columnName);
+		const value = aggregate(aggregateName, this.columnValues(columnName));
+
+		return new Quantity(value, aggregateUnit(aggregateName, column.unit));
+	}
+
+	// Fit a model (see fit.js) to column y against column x. Points are
+	// weighted by the uncertainties of y, or equally when y has none.
+	// Parameters are given in units derived from the units of the columns.
+	fit(xName, yName, model) {
+		const xColumn = this.getExistingColumn(xName);
+		const yColumn = this.getExistingColumn(yName);
+
+		const { parameters, rSquared } = this.solveFit(xName, yName, model);
+		const units = parameterUnits(model, xColumn.unit, yColumn.unit);
+
+		return {
+			parameters: parameters.map((parameter, i) => new Quantity(parameter, units[i])),
+			rSquared,
+		};
+	}
+
+	// Fitting is expensive: the last result of each fit is reused as long
+	// as its data does not change.
+	solveFit(xName, yName, model) {
+		const fitBuilder = new FitBuilder(model);
+		const hasValue = (row, name) => name in row && !isMissing(row[name]) && typeof this.maskReason(row, name) === "undefined";
+		const points = this.rows.filter(row => hasValue(row, xName) && hasValue(row, yName));
+
+		if(points.length <= fitBuilder.parameterCount) {
+			throw new Error(`Cannot fit ${model} model to ${points.length} point(s)`);
+		}
+
+		const valueOf = cell => (cell instanceof UncertainValue ? cell.value : cell).toNumber();
+		const xs = points.map(row => valueOf(row[xName]));
+		const ys = points.map(row => valueOf(row[yName]));
+
+		const uncertainCount = points.filter(row => row[yName] instanceof UncertainValue).length;
+
+		if(uncertainCount > 0 && uncertainCount < points.length) {
+			throw new Error(`Column "${yName}" has values without uncertainty`);
+		}
+
+		const uys = points.map(row => uncertainCount > 0 ? row[yName].absU.toNumber() : 1);
+
+		const key = `${this.dataset.name}: ${model}(${xName}, ${yName})`;
+		const input = JSON.stringify([xs, ys, uys]);
+		const cached = this.fitResults.get(key);
+		if(cached && cached.input === input) return cached.solution;
+
+		const { result, uncertainty, rSquared } = fitBuilder.solve(xs, ys, uys);
+		const solution = {
+			parameters: result.map((v, i) => new UncertainValue(EmalNumber.fromNumber(v), EmalNumber.fromNumber(uncertainty[i]))),
+			rSquared: EmalNumber.fromNumber(rSquared),
+		};
+
+		this.fitResults.set(key, { input, solution });
+		return solution;
+	}
+
+	// A derived constant holds an aggregate of a column, kept up to date
+	// with the data. It can be referenced in computed columns of all
+	// datasets. The column belongs to the current dataset, unless another
+	// one is given.
+	addAggregateConstant(name, columnName, aggregateName, datasetName = this.dataset.name) {
+		if(!(aggregateName in AGGREGATES)) {
+			throw new Error(`Unknown aggregate "${aggregateName}"`);
+		}
+
+		this.addDerivedConstant(name, {
+			type: "aggregate",
+			dataset: datasetName,
+			columns: [columnName],
+			aggregate: aggregateName,
+		});
+	}
+
+	// Parameters of a fit (see `fit`) are stored as derived constants, one
+	// name being given per parameter of the model. Columns belong to the
+	// current dataset, unless another one is given.
+	addFitConstants(names, xName, yName, model, datasetName = this.dataset.name) {
+		const { parameterCount } = new FitBuilder(model);
+
+		if(names.length !== parameterCount) {
+			throw new Error(`Model "${model}" has ${parameterCount} parameter(s), got ${names.length} name(s)`);
+		}
+
+		this.transaction(() => {
+			names.forEach((name, parameter) => {
+				this.addDerivedConstant(name, {
+					type: "fit",
+					dataset: datasetName,
+					columns: [xName, yName],
+					model,
+					parameter,
+				});
+			});
+		}, `Fit ${yName} against ${xName}`);
+	}
+
+	addDerivedConstant(name, source) {
+		this.checkName(name, this.datasets);
+
+		this.withDataset(source.dataset, () => {
+			source.columns.forEach(columnName => this.getExistingColumn(columnName));
+		});
+
+		const constant = { name, unit: undefined, value: undefined, source };
+
+		this.constants.push(constant);
+		this.updateGraphOrRevert(() => this.constants.pop(), "constant", constant);
+		this.emit("constantChanged", { name, constant });
+		this.updateDerivedConstants();
+
+		this.record({
+			label: `Add constant "${name}"`,
+			undo: () => this.deleteConstant(name),
+			redo: () => this.addDerivedConstant(name, source),
+		});
+	}
+
+	// A constant has an unit and a value, which can be given with an
+	// uncertainty. Constants can be referenced in computed columns.
+	addConstant(name, unitStr, valueStr, uncertaintyStr) {
+		this.checkName(name, this.datasets);
+
+		const constant = {
 			name,
 			unit: Unit.fromString(unitStr),
-			value: EmalNumber.fromString(valueStr),
+			value: parseConstantValue(valueStr, uncertaintyStr),
+		};
+
+		this.constants.push(constant);
+		this.updateGraphOrRevert(() => this.constants.pop());
+		this.emit("constantChanged", { name, constant });
+		this.recomputeRows();
+
+		this.record({
+			label: `Add constant "${name}"`,
+			undo: () => this.deleteConstant(name),
+			redo: () => this.addConstant(name, unitStr, valueStr, uncertaintyStr),
 		});
 	}
 
-	addData(userData) {
-		// TODO: loop to computed dependents' dependents and so on + test
-		const dependents = Object.keys(userData).reduce((acc, columnName) => {
-			this.getColumn(columnName)
-				.dependents
-				.forEach(col => acc.add(col));
+	getConstant(name) {
+		return this.constants.find(constant => constant.name === name);
+	}
+
+	getExistingConstant(name) {
+		const constant = this.getConstant(name);
+
+		if(!constant) {
+			throw new Error(`Unknown constant "${name}"`);
+		}
+
+		return constant;
+	}
+
+	updateConstant(name, valueStr, uncertaintyStr) {
+		const constant = this.getExistingConstant(name);
+
+		if(constant.source) {
+			throw new Error(`Constant "${name}" is derived and cannot be set`);
+		}
+
+		const previous = constant.value;
+		constant.value = parseConstantValue(valueStr, uncertaintyStr);
+
+		this.emit("constantChanged", { name, constant, previous });
+		this.recomputeRows();
+
+		this.record({
+			label: `Update constant "${name}"`,
+			undo: () => this.updateConstant(name, previous),
+			redo: () => this.updateConstant(name, valueStr, uncertaintyStr),
+		});
+	}
+
+	// A constant cannot be removed while columns depend on it.
+	removeConstant(name) {
+		const constant = this.getExistingConstant(name);
+		const dependents = this.datasets
+			.reduce((acc, dataset) => acc.concat(dataset.columns), [])
+			.filter(column => column.dependsOn().includes(name));
+
+		if(dependents.length > 0) {
+			const dependentNames = dependents.map(col => col.name).join(", ");
+			throw new Error(`Constant "${name}" cannot be removed: used by ${dependentNames}`);
+		}
+
+		const index = this.deleteConstant(name);
+
+		this.record({
+			label: `Remove constant "${name}"`,
+			undo: () => this.restoreConstant(constant, index),
+			redo: () => this.removeConstant(name),
+		});
+	}
+
+	deleteConstant(name) {
+		const constant = this.getExistingConstant(name);
+		const index = this.constants.indexOf(constant);
+
+		this.constants.splice(index, 1);
+		this.updateGraph();
+		this.emit("constantRemoved", { name, constant });
+		this.recomputeRows();
 
+		return index;
+	}
+
+	restoreConstant(constant, index) {
+		this.constants.splice(index, 0, constant);
+		this.updateGraph();
+		this.emit("constantChanged", { name: constant.name, constant });
+		this.recomputeRows();
+	}
+
+	// Values entered by the user are converted to the unit of their
+	// column, then given the uncertainty defined by its rule.
+	prepareUserData(userData) {
+		this.checkUserData(userData);
+
+		return Object.entries(userData).reduce((acc, [columnName, value]) => {
+			const column = this.getColumn(columnName);
+
+			acc[columnName] = column.applyUncertainty(column.convertInput(value));
 			return acc;
-		}, new Set());
+		}, {});
+	}
+
+	// Data given by the user can only target user columns: computed
+	// columns are always derived from other data.
+	checkUserData(userData) {
+		Object.keys(userData).forEach(columnName => {
+			const column = this.getExistingColumn(columnName);
+
+			if(column.isComputed) {
+				throw new Error(`Column "${columnName}" is computed and cannot be set`);
+			}
+		});
+	}
+
+	checkRowIndex(index, allowEnd = false) {
+		const maxIndex = allowEnd ? this.rows.length : this.rows.length - 1;
+
+		if(!Number.isInteger(index) || index < 0 || index > maxIndex) {
+			throw new Error(`Row index ${index} is out of range`);
+		}
+	}
+
+	addData(userData) {
+		this.insertData(this.rows.length, userData);
+	}
+
+	insertData(index, userData) {
+		this.checkRowIndex(index, true);
+
+		const errors = {};
+		const row = this.computeRow(this.prepareUserData(userData), errors);
+		this.rows.splice(index, 0, row);
+
+		this.datasetEvent("rowAdded", { index, row, errors });
+		this.updateDerivedConstants();
+
+		this.record({
+			label: "Add row",
+			undo: () => this.removeData(index),
+			redo: () => this.insertData(index, userData),
+		});
+	}
+
+	// Update some user cells of a row, leaving other cells untouched.
+	updateData(index, userData) {
+		this.checkRowIndex(index);
+
+		const previous = Object.assign({}, this.rows[index]);
+		this.replaceRow(index, Object.assign({}, previous, this.prepareUserData(userData)));
+
+		this.record({
+			label: "Update row",
+			undo: () => this.replaceRow(index, previous),
+			redo: () => this.updateData(index, userData),
+		});
+	}
+
+	// Replace all cells of a row, keeping the same row object
+	replaceRow(index, cells) {
+		const row = this.rows[index];
+		const previous = Object.assign({}, row);
+		const errors = {};
+
+		Object.keys(row).forEach(columnName => delete row[columnName]);
+		Object.assign(row, cells);
+		this.computeRow(row, errors);
+
+		this.datasetEvent("rowUpdated", { index, row, changes: rowChanges(previous, row), errors });
+		this.updateDerivedConstants();
+	}
+
+	removeData(index) {
+		this.checkRowIndex(index);
 
-		const computedData = {};
+		const [row] = this.rows.splice(index, 1);
+		const mask = this.masks.get(row);
+		this.masks.delete(row);
 
-		dependents.forEach(dependent => {
-			computedData[dependent.name] = dependent.computeValueFor(userData);
+		this.datasetEvent("rowRemoved", { index, row });
+		this.updateDerivedConstants();
+
+		const userData = this.columns
+			.filter(column => !column.isComputed && column.name in row)
+			.reduce((acc, column) => {
+				acc[column.name] = row[column.name];
+				return acc;
+			}, {});
+
+		this.record({
+			label: "Remove row",
+			undo: () => {
+				this.insertData(index, userData);
+				if(mask) this.masks.set(this.rows[index], mask);
+			},
+			redo: () => this.removeData(index),
 		});
+	}
+
+	// Masked rows and cells are kept in the table for traceability, but
+	// are excluded from statistics, fits and exports. Each mask is given
+	// a reason, such as "outlier".
+	maskRow(index, reason) {
+		this.setMask(index, undefined, reason);
+	}
+
+	unmaskRow(index) {
+		this.setMask(index, undefined, undefined);
+	}
+
+	// Computed cells depending on a masked cell are masked too.
+	maskCell(index, columnName, reason) {
+		this.setMask(index, columnName, reason);
+	}
+
+	unmaskCell(index, columnName) {
+		this.setMask(index, columnName, undefined);
+	}
+
+	// Reason of the mask applying to a cell, or to a whole row without
+	// column name. Undefined when not masked.
+	getMask(index, columnName) {
+		this.checkRowIndex(index);
+		if(typeof columnName !== "undefined") this.getExistingColumn(columnName);
+
+		return this.maskReason(this.rows[index], columnName);
+	}
+
+	isMasked(index, columnName) {
+		return typeof this.getMask(index, columnName) !== "undefined";
+	}
+
+	maskReason(row, columnName) {
+		const mask = this.masks.get(row);
+
+		if(mask && typeof mask.reason !== "undefined") return mask.reason;
+		if(typeof columnName === "undefined") return undefined;
+		if(mask && columnName in mask.cells) return mask.cells[columnName];
+
+		const column = this.getColumn(columnName);
+		if(!column) return undefined;
+
+		return column.dependsOn()
+			.map(dependeeName => this.maskReason(row, dependeeName))
+			.find(reason => typeof reason !== "undefined");
+	}
+
+	// Mask a row (without column name) or a cell, or unmask it without
+	// reason.
+	setMask(index, columnName, reason) {
+		this.checkRowIndex(index);
+		if(typeof columnName !== "undefined") this.getExistingColumn(columnName);
+
+		if(typeof reason !== "undefined" && typeof reason !== "string") {
+			throw new Error("The reason of a mask must be a string");
+		}
+
+		const row = this.rows[index];
+		const mask = this.masks.get(row) || { reason: undefined, cells: {} };
+		const previous = typeof columnName === "undefined" ? mask.reason : mask.cells[columnName];
+
+		if(typeof columnName === "undefined") {
+			mask.reason = reason;
+		} else if(typeof reason === "undefined") {
+			delete mask.cells[columnName];
+		} else {
+			mask.cells[columnName] = reason;
+		}
+
+		if(typeof mask.reason === "undefined" && Object.keys(mask.cells).length === 0) {
+			this.masks.delete(row);
+		} else {
+			this.masks.set(row, mask);
+		}
+
+		this.datasetEvent("maskChanged", { index, row, column: columnName, reason, previous });
+		this.updateDerivedConstants();
+
+		this.record({
+			label: typeof reason === "undefined" ? "Unmask" : "Mask",
+			undo: () => this.setMask(index, columnName, previous),
+			redo: () => this.setMask(index, columnName, reason),
+		});
+	}
+
+	// Group several operations, so that they are undone at once
+	transaction(fn, label) {
+		this.history.group(fn, label);
+	}
+
+	undo() {
+		return this.history.undo();
+	}
+
+	redo() {
+		return this.history.redo();
+	}
+
+	// Import CSV or TSV data, see csv.js for options
+	importCsv(text, options) {
+		let report;
+		this.transaction(() => {
+			report = importDelimited(this, text, options);
+		}, "Import data");
+
+		return report;
+	}
+
+	// Acquire readings from an async source, such as a Node stream in
+	// object mode. See acquisition.js for options.
+	acquire(source, options) {
+		return acquire(this, source, options);
+	}
+
+	// Apply code (see code.js) to the current dataset, as a single
+	// operation. Invalid code, including code using names which are
+	// neither columns nor constants, is rejected.
+	applyCode(code) {
+		const variables = this.columns.map(column => column.name).concat(this.constants.map(constant => constant.name));
+		const codeBlock = code instanceof CodeBlock ? code : new CodeBlock(code, { strict: true, variables });
+
+		this.transaction(() => applyCodeBlock(this, codeBlock), "Apply code");
+	}
+
+	// Export the table to "csv", "markdown" or "latex", see export.js
+	// for options
+	exportTable(format, options) {
+		return exportTable(this, format, options);
+	}
+
+	// Serialize the session (see session.js), so that `JSON.stringify`
+	// can be called directly on the manager.
+	toJSON() {
+		return {
+			format: SESSION_FORMAT,
+			version: SESSION_VERSION,
+			constants: this.constants.map(constant => {
+				// Values of derived constants are computed again on load
+				if(constant.source) {
+					return { name: constant.name, source: constant.source };
+				}
+
+				return {
+					name: constant.name,
+					unit: constant.unit.toString(),
+					value: encodeValue(constant.value),
+				};
+			}),
+			datasets: this.datasets.map(dataset => this.withDataset(dataset.name, () => this.datasetToJSON())),
+			dataset: this.dataset.name,
+		};
+	}
+
+	// Columns, user cells and masks of the current dataset
+	datasetToJSON() {
+		const userColumns = this.columns.filter(column => !column.isComputed);
+
+		return {
+			name: this.dataset.name,
+			columns: this.columns.map(column => {
+				if(column.isComputed) {
+					return {
+						name: column.name,
+						expression: column.expression.toString(),
+						unit: column.declaredUnit ? column.declaredUnit.toString() : undefined,
+					};
+				}
+
+				return {
+					name: column.name,
+					unit: column.unit.toString(),
+					uncertainty: column.uncertainty ? column.uncertainty.toString() : undefined,
+				};
+			}),
+			rows: this.rows.map(row => userColumns.reduce((acc, column) => {
+				if(column.name in row) acc[column.name] = encodeValue(row[column.name]);
+				return acc;
+			}, {})),
+			masks: this.rows.reduce((acc, row, index) => {
+				const mask = this.masks.get(row);
+				if(!mask) return acc;
+
+				if(typeof mask.reason !== "undefined") acc.push({ row: index, reason: mask.reason });
+
+				Object.entries(mask.cells).forEach(([column, reason]) => {
+					acc.push({ row: index, column, reason });
+				});
+
+				return acc;
+			}, []),
+		};
+	}
+
+	static fromJSON(doc) {
+		if(typeof doc === "string") doc = JSON.parse(doc);
+		doc = migrateSession(doc);
+
+		const [firstDataset, ...otherDatasets] = doc.datasets;
+		const manager = new EmalManager({ dataset: firstDataset.name });
+
+		otherDatasets.forEach(dataset => manager.addDataset(dataset.name));
+
+		const derivedConstants = doc.constants.filter(constant => constant.source);
+
+		doc.constants
+			.filter(constant => !constant.source)
+			.forEach(constant => {
+				manager.addConstant(constant.name, constant.unit, decodeValue(constant.value));
+			});
+
+		doc.datasets.forEach(dataset => manager.withDataset(dataset.name, () => {
+			dataset.columns.forEach(column => {
+				if(typeof column.expression === "string") {
+					manager.addComputedColumn(column.name, column.expression, column.unit);
+				} else {
+					manager.addUserColumn(column.name, column.unit, column.uncertainty);
+				}
+			});
+		}));
+
+		// Derived constants need their source columns
+		derivedConstants.forEach(({ name, source }) => {
+			manager.addDerivedConstant(name, source);
+		});
+
+		doc.datasets.forEach(dataset => manager.withDataset(dataset.name, () => {
+			dataset.rows.forEach(row => {
+				const userData = Object.entries(row).reduce((acc, [columnName, value]) => {
+					acc[columnName] = decodeValue(value);
+					return acc;
+				}, {});
+
+				manager.addData(userData);
+			});
+
+			dataset.masks.forEach(({ row, column, reason }) => {
+				manager.setMask(row, column, reason);
+			});
+		}));
+
+		manager.useDataset(doc.dataset);
 
-		const allData = Object.assign({}, userData, computedData);
+		// Loading is not an operation which can be undone
+		manager.history.clear();
 
-		this.rows.push(allData);
+		return manager;
 	}
 }
@@ -1,5 +1,10 @@
 import { EmalManager } from "./index.js";
+import { CodeBlock } from "./code.js";
+import { MISSING } from "./missing.js";
 import { EmalNumber } from "./number.js";
+import { Quantity } from "./quantity.js";
+import { UncertainValue } from "./uncertainty.js";
+import { Unit } from "./unit.js";
 
 test("declares columns", () => {
 	const app = new EmalManager();
@@ -35,3 +40,909 @@ test("allows computed columns - propagates", () => {
 
 	expect(app.rows[0].c.toString()).toEqual("4,76");
 });
+
+test("allows computed columns - propagates transitively", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("V0", "mL");
+	app.addComputedColumn("r", "V0/V");
+	app.addComputedColumn("A", "log(r)");
+	app.addData({ V: EmalNumber.fromString("2"), V0: EmalNumber.fromString("20") });
+
+	expect(app.rows[0].r.toString()).toEqual("1,00e1");
+	expect(app.rows[0].A.toString()).toEqual("1,00");
+});
+
+test("allows computed columns - accepts any declaration order", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("d", "c*V");
+	app.addData({ V: EmalNumber.fromString("2"), n: EmalNumber.fromString("1") });
+	expect(app.getColumn("d").unit).toBeUndefined();
+	expect(app.rows[0].d).toBeUndefined();
+
+	app.addComputedColumn("c", "n/V");
+	expect(app.getColumn("d").unit.toString()).toEqual("mmol");
+	expect(app.rows[0].d.toString()).toEqual("1,00");
+});
+
+test("allows computed columns - rejects cycles", () => {
+	const app = new EmalManager();
+	app.addComputedColumn("a", "b*2");
+	expect(() => app.addComputedColumn("b", "a/2")).toThrow("Cyclic definition of column \"b\": b -> a -> b");
+	expect(() => app.addComputedColumn("c", "c+1")).toThrow("Cyclic definition");
+	expect(app.getColumn("b")).toBeUndefined();
+});
+
+test("checks cycles of long dependency chains", () => {
+	const app = new EmalManager();
+	app.addUserColumn("c0", "m");
+	app.addUserColumn("c1", "m");
+
+	// Each column uses the two before it: paths from the last column are
+	// exponentially many
+	for(let i = 2; i < 60; i++) {
+		app.addComputedColumn(`c${i}`, `c${i - 1} + c${i - 2}`);
+	}
+
+	expect(() => app.redefineColumn("c2", "c1 + c59")).toThrow("Cyclic definition of column \"c2\"");
+});
+
+test("inserts rows", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addComputedColumn("W", "V*V");
+	app.addData({ V: EmalNumber.fromString("2") });
+	app.addData({ V: EmalNumber.fromString("4") });
+	app.insertData(1, { V: EmalNumber.fromString("3") });
+
+	expect(app.rows.map(row => row.W.toString())).toEqual(["4,00", "9,00", "1,60e1"]);
+	expect(() => app.insertData(4, { V: EmalNumber.fromString("5") })).toThrow("out of range");
+});
+
+test("updates rows", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "n/V");
+	app.addComputedColumn("d", "c*V");
+	app.addData({ V: EmalNumber.fromString("2"), n: EmalNumber.fromString("1") });
+	app.updateData(0, { V: EmalNumber.fromString("4") });
+
+	expect(app.rows[0].n.toString()).toEqual("1,00");
+	expect(app.rows[0].c.toString()).toEqual("2,50e-1");
+	expect(app.rows[0].d.toString()).toEqual("1,00");
+	expect(() => app.updateData(0, { c: EmalNumber.fromString("1") })).toThrow("computed");
+});
+
+test("leaves rows untouched when their update fails", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL", "0.1 / V");
+	app.addComputedColumn("c", "1/V");
+	app.addData({ V: EmalNumber.fromString("2") });
+
+	expect(() => app.updateData(0, { V: "0" })).toThrow("Division by zero");
+	expect(app.rows[0].V.value.toString()).toEqual("2,00");
+	expect(app.rows[0].c.value.toString()).toEqual("5,00e-1");
+
+	app.undo();
+	expect(app.rows.length).toEqual(0);
+});
+
+test("stores invalid cells as missing", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "1");
+	app.addData({ V: EmalNumber.fromString("2") });
+	app.addData({ V: EmalNumber.fromString("0") });
+
+	const events = [];
+	app.on("recomputed", ({ rows }) => events.push(rows));
+	app.on("rowUpdated", ({ errors }) => events.push(errors));
+
+	app.addComputedColumn("inv", "1 / V");
+	app.addComputedColumn("l", "log(V)");
+	expect(app.rows[0].inv.toString()).toEqual("5,00e-1");
+	expect(app.rows[1].inv).toBe(MISSING);
+	expect(app.rows[1].l).toBe(MISSING);
+	expect(events[0].map(({ index, errors }) => [index, errors])).toEqual([
+		[0, {}],
+		[1, { inv: "Division by zero in \"1 / V\"" }],
+	]);
+
+	app.addConstant("k", "1", "2");
+	app.updateData(0, { V: "0" });
+	expect(app.rows[0].inv).toBe(MISSING);
+	expect(events[events.length - 1]).toEqual({
+		inv: "Division by zero in \"1 / V\"",
+		l: "Cannot compute logarithm of non-positive number 0.0 in \"log(V)\"",
+	});
+
+	app.undo();
+	expect(app.rows[0].inv.toString()).toEqual("5,00e-1");
+	expect(app.getConstant("k")).toBeDefined();
+});
+
+test("removes rows", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addData({ V: EmalNumber.fromString("2") });
+	app.addData({ V: EmalNumber.fromString("3") });
+	app.removeData(0);
+
+	expect(app.rows.length).toEqual(1);
+	expect(app.rows[0].V.toString()).toEqual("3,00");
+	expect(() => app.removeData(1)).toThrow("out of range");
+});
+
+test("redefines computed columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "n/V");
+	app.addComputedColumn("d", "c*V");
+	app.addData({ V: EmalNumber.fromString("2"), n: EmalNumber.fromString("1") });
+	app.redefineColumn("c", "n*V");
+
+	expect(app.getColumn("c").unit.toString()).toEqual("µmol·L");
+	expect(app.rows[0].c.toString()).toEqual("2,00");
+	expect(app.rows[0].d.toString()).toEqual("4,00");
+	expect(() => app.redefineColumn("c", "d/V")).toThrow("Cyclic definition");
+	expect(() => app.redefineColumn("V", "n")).toThrow("not computed");
+});
+
+test("renames columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "n/(V*V)");
+	app.addData({ V: EmalNumber.fromString("2"), n: EmalNumber.fromString("1") });
+	app.renameColumn("V", "Veq");
+
+	expect(app.getColumn("c").expression.toString()).toEqual("n / (Veq * Veq)");
+	expect(app.rows[0].Veq.toString()).toEqual("2,00");
+	expect(app.rows[0].V).toBeUndefined();
+	expect(app.rows[0].c.toString()).toEqual("2,50e-1");
+	expect(() => app.renameColumn("n", "c")).toThrow("already exists");
+});
+
+test("rejects renames creating cycles", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addComputedColumn("x", "y + V");
+	app.addComputedColumn("z", "x * 2");
+
+	expect(() => app.renameColumn("z", "y")).toThrow("Cyclic definition of column \"y\": y -> x -> y");
+	expect(app.getColumn("z").expression.toString()).toEqual("x * 2");
+	expect(app.getColumn("y")).toBeUndefined();
+});
+
+test("removes columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "n/V");
+	app.addData({ V: EmalNumber.fromString("2"), n: EmalNumber.fromString("1") });
+
+	expect(() => app.removeColumn("V")).toThrow("used by c");
+
+	app.removeColumn("c");
+	app.removeColumn("V");
+	expect(app.columns.map(col => col.name)).toEqual(["n"]);
+	expect(Object.keys(app.rows[0])).toEqual(["n"]);
+});
+
+test("changes unit of user columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "n/V");
+	app.setColumnUnit("V", "L");
+
+	expect(app.getColumn("c").unit.toString()).toEqual("mmol/L");
+	expect(() => app.setColumnUnit("c", "mol/L")).toThrow("computed");
+});
+
+test("uses constants in computed columns", () => {
+	const app = new EmalManager();
+	app.addConstant("g", "m/s/s", "9.81");
+	app.addUserColumn("t", "s");
+	app.addComputedColumn("z", "g*t*t/2");
+	app.addData({ t: EmalNumber.fromString("2") });
+
+	expect(app.getColumn("z").unit.toString()).toEqual("m");
+	expect(app.rows[0].z.toString()).toEqual("1,96e1");
+	expect(() => app.addUserColumn("g", "m")).toThrow("Constant \"g\" already exists");
+});
+
+test("uses constants with uncertainty", () => {
+	const app = new EmalManager();
+	app.addUserColumn("m", "kg");
+	app.addComputedColumn("P", "m*g");
+	app.addData({ m: EmalNumber.fromString("2") });
+	expect(app.rows[0].P).toBeUndefined();
+
+	app.addConstant("g", "m/s/s", "9.8", "0.1");
+	expect(app.getColumn("P").unit.toString()).toEqual("N");
+	expect(app.rows[0].P.value.toString()).toEqual("1,96e1");
+	expect(app.rows[0].P.absU.toString(1)).toEqual("2,0e-1");
+});
+
+test("recomputes rows on constant update", () => {
+	const app = new EmalManager();
+	app.addConstant("g", "m/s/s", "9.81");
+	app.addUserColumn("m", "kg");
+	app.addComputedColumn("P", "m*g");
+	app.addData({ m: EmalNumber.fromString("2") });
+	app.updateConstant("g", "1.62");
+
+	expect(app.rows[0].P.toString()).toEqual("3,24");
+	expect(() => app.updateConstant("G", "1")).toThrow("Unknown constant");
+});
+
+test("applies uncertainty rules to user columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL", "0.02*V + 0.05");
+	app.addUserColumn("m", "g", "2%");
+	app.addUserColumn("T", "K", "0.5");
+	app.addData({
+		V: EmalNumber.fromString("10"),
+		m: EmalNumber.fromString("-5"),
+		T: EmalNumber.fromString("300"),
+	});
+
+	expect(app.rows[0].V.value.toString()).toEqual("1,00e1");
+	expect(app.rows[0].V.absU.toString()).toEqual("2,50e-1");
+	expect(app.rows[0].m.absU.toString()).toEqual("1,00e-1");
+	expect(app.rows[0].T.absU.toString()).toEqual("5,00e-1");
+});
+
+test("propagates uncertainties to computed columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL", "0.1");
+	app.addUserColumn("n", "mmol", "5%");
+	app.addComputedColumn("c", "n/V");
+	app.addConstant("V0", "mL", "2");
+	app.addComputedColumn("dV", "V - V0");
+	app.addData({ V: EmalNumber.fromString("4"), n: EmalNumber.fromString("2") });
+
+	expect(app.rows[0].c.value.toString()).toEqual("5,00e-1");
+	expect(app.rows[0].c.absU.toString()).toEqual("3,75e-2");
+	expect(app.rows[0].dV.absU.toString()).toEqual("1,00e-1");
+});
+
+test("changes uncertainty rule of user columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL", "0.1");
+	app.addComputedColumn("W", "2*V");
+	app.addData({ V: EmalNumber.fromString("4") });
+	app.setColumnUncertainty("V", "10%");
+
+	expect(app.rows[0].V.absU.toString()).toEqual("4,00e-1");
+	expect(app.rows[0].W.absU.toString()).toEqual("8,00e-1");
+});
+
+test("rejects invalid uncertainty rules", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL", "0.1");
+
+	expect(() => app.setColumnUncertainty("V", "0.02*V +")).toThrow("Column \"V\" has an invalid uncertainty rule: expected operand at character 9");
+	expect(() => app.setColumnUncertainty("V", "0.1*W")).toThrow("Uncertainty rule of column \"V\" can only reference its value, not \"W\"");
+	expect(() => app.addUserColumn("W", "mL", "f(W)")).toThrow("not \"f\"");
+	expect(app.getColumn("V").uncertainty.toString()).toEqual("0.1");
+	expect(app.getColumn("W")).toBeUndefined();
+	app.setColumnUncertainty("V", "max(0.1; 0.02*V)");
+});
+
+test("leaves columns untouched when their uncertainty rule fails", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL", "0.1");
+	app.addData({ V: EmalNumber.fromInt(2) });
+	app.addData({ V: EmalNumber.fromInt(0) });
+
+	expect(() => app.setColumnUncertainty("V", "0.1 / V")).toThrow("Division by zero");
+	expect(app.getColumn("V").uncertainty.toString()).toEqual("0.1");
+	expect(app.rows.map(row => row.V.absU.toString())).toEqual(["1,00e-1", "1,00e-1"]);
+	app.undo();
+	expect(app.rows).toHaveLength(1);
+});
+
+test("reports names of computed columns referring to nothing yet", () => {
+	const app = new EmalManager();
+	const unresolved = [];
+	["columnAdded", "columnChanged"].forEach(eventName => {
+		app.on(eventName, payload => unresolved.push(payload.unresolved));
+	});
+
+	app.addUserColumn("n", "mmol");
+	app.addConstant("k", "1", "2");
+	app.addComputedColumn("c", "k * n / Vv");
+	app.redefineColumn("c", "k * n");
+
+	expect(unresolved).toEqual([undefined, ["Vv"], []]);
+	expect(app.getColumn("c").unit.toString()).toEqual("mmol");
+});
+
+test("notifies column changes", () => {
+	const app = new EmalManager();
+	const events = [];
+	["columnAdded", "columnChanged", "columnRemoved"].forEach(eventName => {
+		app.on(eventName, payload => events.push([eventName, payload.name, payload.change]));
+	});
+
+	app.addUserColumn("V", "mL");
+	app.addComputedColumn("W", "V*2");
+	app.redefineColumn("W", "V*3");
+	app.renameColumn("W", "W3");
+	app.setColumnUnit("V", "L");
+	app.removeColumn("W3");
+
+	expect(events).toEqual([
+		["columnAdded", "V", undefined],
+		["columnAdded", "W", undefined],
+		["columnChanged", "W", "expression"],
+		["columnChanged", "W3", "name"],
+		["columnChanged", "V", "unit"],
+		["columnRemoved", "W3", undefined],
+	]);
+});
+
+test("notifies row changes with changed cells", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "n/V");
+	app.addComputedColumn("W", "V*2");
+	app.addData({ V: EmalNumber.fromString("2"), n: EmalNumber.fromString("1") });
+
+	const events = [];
+	app.on("rowAdded", ({ index }) => events.push(["rowAdded", index]));
+	app.on("rowRemoved", ({ index }) => events.push(["rowRemoved", index]));
+	app.on("rowUpdated", ({ index, changes }) => events.push(["rowUpdated", index, Object.keys(changes)]));
+
+	app.addData({ V: EmalNumber.fromString("4"), n: EmalNumber.fromString("1") });
+	app.updateData(0, { n: EmalNumber.fromString("2") });
+	app.updateData(0, { n: EmalNumber.fromString("2.0") });
+	app.removeData(1);
+
+	expect(events).toEqual([
+		["rowAdded", 1],
+		["rowUpdated", 0, ["n", "c"]],
+		["rowUpdated", 0, []],
+		["rowRemoved", 1],
+	]);
+});
+
+test("notifies constant changes and recomputations", () => {
+	const app = new EmalManager();
+	app.addConstant("g", "m/s/s", "9.81");
+	app.addUserColumn("m", "kg");
+	app.addComputedColumn("P", "m*g");
+	app.addData({ m: EmalNumber.fromString("2") });
+	app.addData({ m: EmalNumber.fromString("0") });
+
+	const events = [];
+	app.on("constantChanged", ({ name, previous }) => events.push(["constantChanged", name, previous.toString()]));
+	app.on("recomputed", ({ rows }) => events.push(["recomputed", rows]));
+
+	app.updateConstant("g", "1.62");
+
+	expect(events[0]).toEqual(["constantChanged", "g", "9,81"]);
+	expect(events[1][1].length).toEqual(1);
+	expect(events[1][1][0].index).toEqual(0);
+	expect(events[1][1][0].changes.P.current.toString()).toEqual("3,24");
+});
+
+test("saves and loads sessions", () => {
+	const app = new EmalManager();
+	app.addConstant("k", "1", "2", "0.1");
+	app.addUserColumn("V", "mL", "2%");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "k*n/V");
+	app.addData({ V: EmalNumber.fromString("2.1"), n: EmalNumber.fromString("123456789012345678901234567890.123456789") });
+	app.addData({ V: new UncertainValue(EmalNumber.fromString("3"), EmalNumber.fromString("0.5")) });
+
+	const doc = JSON.parse(JSON.stringify(app));
+	expect(doc.version).toEqual(3);
+	expect(doc.datasets[0].columns[2]).toEqual({ name: "c", expression: "k * n / V" });
+	expect(doc.datasets[0].rows[0].c).toBeUndefined();
+
+	const loaded = EmalManager.fromJSON(JSON.stringify(app));
+	expect(loaded.getColumn("c").unit.toString()).toEqual("mol/L");
+	expect(loaded.getConstant("k").value).toEqual(app.getConstant("k").value);
+	expect(loaded.rows).toEqual(app.rows);
+	expect(loaded.rows[0].n.rawInt).toEqual(123456789012345678901234567890123456789n);
+	expect(loaded.rows[1].V.absU.toString()).toEqual("5,00e-1");
+});
+
+test("undoes and redoes column operations", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("c", "n/V");
+	app.addData({ V: EmalNumber.fromString("2"), n: EmalNumber.fromString("1") });
+	app.renameColumn("V", "Veq");
+	app.redefineColumn("c", "n*Veq");
+	app.removeColumn("c");
+
+	app.undo();
+	expect(app.rows[0].c.toString()).toEqual("2,00");
+	app.undo();
+	app.undo();
+	expect(app.getColumn("c").expression.toString()).toEqual("n / V");
+	expect(app.rows[0].c.toString()).toEqual("5,00e-1");
+
+	app.redo();
+	expect(app.rows[0].Veq.toString()).toEqual("2,00");
+	expect(app.getColumn("c").expression.toString()).toEqual("n / Veq");
+});
+
+test("undoes and redoes row and constant operations", () => {
+	const app = new EmalManager();
+	app.addConstant("k", "1", "2");
+	app.addUserColumn("V", "mL", "0.1");
+	app.addComputedColumn("W", "k*V");
+	app.addData({ V: EmalNumber.fromString("1") });
+	app.addData({ V: new UncertainValue(EmalNumber.fromString("2"), EmalNumber.fromString("0.5")) });
+	app.updateData(0, { V: EmalNumber.fromString("3") });
+	app.updateConstant("k", "3");
+	app.removeData(1);
+
+	app.undo();
+	expect(app.rows[1].V.absU.toString()).toEqual("5,00e-1");
+	app.undo();
+	expect(app.rows[1].W.value.toString()).toEqual("4,00");
+	app.undo();
+	expect(app.rows[0].V.value.toString()).toEqual("1,00");
+	app.redo();
+	app.redo();
+	expect(app.rows.map(row => row.W.value.toString())).toEqual(["9,00", "6,00"]);
+});
+
+test("undoes grouped operations at once", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.transaction(() => {
+		app.addData({ V: EmalNumber.fromString("1") });
+		app.addData({ V: EmalNumber.fromString("2") });
+	});
+	app.importCsv("V_mL\n3\n4\n");
+
+	app.undo();
+	expect(app.rows.length).toEqual(2);
+	app.undo();
+	expect(app.rows.length).toEqual(0);
+	app.undo();
+	expect(app.columns.length).toEqual(0);
+	expect(app.undo()).toBe(false);
+});
+
+test("undoes uncertainty rule changes", () => {
+	const app = new EmalManager({ historySize: 1 });
+	app.addUserColumn("V", "mL", "0.1");
+	app.addData({ V: new UncertainValue(EmalNumber.fromString("2"), EmalNumber.fromString("0.5")) });
+	app.setColumnUncertainty("V", "1%");
+	expect(app.rows[0].V.absU.toString()).toEqual("2,00e-2");
+
+	app.undo();
+	expect(app.rows[0].V.absU.toString()).toEqual("5,00e-1");
+	expect(app.undo()).toBe(false);
+});
+
+test("removes constants", () => {
+	const app = new EmalManager();
+	app.addConstant("g", "m/s/s", "9.81");
+	app.addConstant("k", "1", "2");
+	app.addUserColumn("m", "kg");
+	app.addComputedColumn("P", "m*g");
+
+	expect(() => app.removeConstant("g")).toThrow("used by P");
+	app.removeConstant("k");
+	expect(app.constants.map(constant => constant.name)).toEqual(["g"]);
+
+	app.undo();
+	expect(app.getConstant("k").value.toString()).toEqual("2,00");
+});
+
+test("computes aggregates of columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addData({ V: EmalNumber.fromString("2") });
+	app.addData({});
+	app.addData({ V: EmalNumber.fromString("4") });
+
+	expect(app.aggregate("V", "mean").toString(2)).toEqual("3,00 mL");
+	expect(app.aggregate("V", "count").toString()).toEqual("2,00");
+	expect(app.aggregate("V", "max").value.toString()).toEqual("4,00");
+	expect(() => app.aggregate("V", "median")).toThrow("Unknown aggregate");
+});
+
+test("keeps aggregate constants up to date", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addAggregateConstant("Vm", "V", "mean");
+	app.addComputedColumn("d", "V - Vm");
+
+	expect(app.getConstant("Vm").unit.toString()).toEqual("mL");
+	expect(app.getConstant("Vm").value).toBeUndefined();
+
+	app.addData({ V: EmalNumber.fromString("2") });
+	app.addData({ V: EmalNumber.fromString("4") });
+	expect(app.getConstant("Vm").value.toString()).toEqual("3,00");
+	expect(app.rows.map(row => row.d.toString())).toEqual(["-1,00", "1,00"]);
+
+	app.updateData(1, { V: EmalNumber.fromString("6") });
+	expect(app.rows.map(row => row.d.toString())).toEqual(["-2,00", "2,00"]);
+
+	expect(() => app.updateConstant("Vm", "1")).toThrow("is derived");
+	expect(() => app.removeColumn("V")).toThrow("used by d, Vm");
+});
+
+test("rejects cyclic aggregate constants", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addComputedColumn("d", "V - Vm");
+	expect(() => app.addAggregateConstant("Vm", "d", "mean")).toThrow("Cyclic definition of constant \"Vm\": Vm -> d -> Vm");
+});
+
+test("saves and undoes aggregate constants", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addData({ V: EmalNumber.fromString("2") });
+	app.addAggregateConstant("n", "V", "count");
+
+	const loaded = EmalManager.fromJSON(JSON.stringify(app));
+	expect(loaded.getConstant("n").unit.toString()).toEqual("1");
+	expect(loaded.getConstant("n").value.toString()).toEqual("1,00");
+
+	app.undo();
+	expect(app.getConstant("n")).toBeUndefined();
+});
+
+test("fits columns with units", () => {
+	const app = new EmalManager();
+	app.addUserColumn("t", "s");
+	app.addUserColumn("x", "m", "0.1");
+	[[1, "3.1"], [2, "4.9"], [3, "7.0"], [4, "9.1"], [5, "10.9"]].forEach(([t, x]) => {
+		app.addData({ t: EmalNumber.fromInt(t), x: EmalNumber.fromString(x) });
+	});
+
+	const { parameters, rSquared } = app.fit("t", "x", "linear");
+	expect(parameters.map(parameter => parameter.unit.toString())).toEqual(["m/s", "m"]);
+	expect(parameters[0].value.value.toString(1)).toEqual("2,0");
+	expect(parameters[1].value.value.toString(1)).toEqual("1,1");
+	expect(rSquared.toNumber()).toBeGreaterThan(0.99);
+
+	expect(() => app.fit("t", "x", "cubic")).toThrow("Unknown model");
+});
+
+test("keeps fit constants up to date", () => {
+	const app = new EmalManager();
+	app.addUserColumn("t", "s");
+	app.addUserColumn("x", "m");
+	app.addFitConstants(["v", "x0"], "t", "x", "linear");
+	app.undo();
+	expect(app.constants).toEqual([]);
+	app.redo();
+	app.addComputedColumn("xf", "v*t + x0");
+
+	expect(app.getConstant("v").unit.toString()).toEqual("m/s");
+	expect(app.getConstant("v").value).toBeUndefined();
+
+	app.addData({ t: EmalNumber.fromInt(0), x: EmalNumber.fromInt(1) });
+	app.addData({ t: EmalNumber.fromInt(1), x: EmalNumber.fromInt(3) });
+	app.addData({ t: EmalNumber.fromInt(2), x: EmalNumber.fromInt(5) });
+	expect(app.getConstant("v").value.value.toString(1)).toEqual("2,0");
+	expect(app.rows[2].xf.value.toString(1)).toEqual("5,0");
+
+	expect(() => app.addFitConstants(["a"], "t", "x", "linear")).toThrow("2 parameter(s)");
+
+	const loaded = EmalManager.fromJSON(JSON.stringify(app));
+	expect(loaded.getConstant("x0").value.value.toNumber()).toBeCloseTo(1, 3);
+});
+
+test("checks dimensional consistency of computed columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL");
+	app.addUserColumn("n", "mmol");
+
+	expect(() => app.addComputedColumn("bad", "2 * (V + n)")).toThrow("Column \"bad\" has inconsistent units: Incompatible units mL and mmol in \"V + n\"");
+	expect(() => app.addComputedColumn("bad", "log(V)")).toThrow("Logarithm of non-dimensionless unit mL in \"log(V)\"");
+	expect(() => app.addComputedColumn("bad", "V +")).toThrow("Column \"bad\" has an invalid expression: expected operand at character 4");
+	expect(app.getColumn("bad")).toBeUndefined();
+
+	app.addComputedColumn("c", "n/V");
+	expect(() => app.redefineColumn("c", "n - V")).toThrow("in \"n - V\"");
+	expect(() => app.redefineColumn("c", "(n / V")).toThrow("invalid expression");
+	expect(app.getColumn("c").expression.toString()).toEqual("n / V");
+
+	app.addComputedColumn("d", "V + W");
+	expect(() => app.addUserColumn("W", "mmol")).toThrow("Column \"d\" has inconsistent units");
+	expect(app.getColumn("W")).toBeUndefined();
+});
+
+test("derives units of powers", () => {
+	const app = new EmalManager();
+	app.addUserColumn("r", "m");
+	app.addComputedColumn("A", "3.14 * r^2");
+	app.addComputedColumn("s", "A^0.5");
+	app.addData({ r: EmalNumber.fromInt(2) });
+
+	expect(Unit.equals(app.getColumn("A").unit, Unit.fromString("m*m"))).toBe(true);
+	expect(app.getColumn("s").unit.toString()).toEqual("m");
+	expect(app.rows[0].s.toString()).toEqual("3,54");
+	expect(() => app.addComputedColumn("bad", "r^0.5")).toThrow("Cannot raise unit m to power 0.5 in \"r ^ 0.5\"");
+	expect(() => app.addComputedColumn("bad", "2 ^ r")).toThrow("Exponent of non-dimensionless unit m in \"2 ^ r\"");
+	expect(app.getColumn("bad")).toBeUndefined();
+});
+
+test("raises values to fractions of integers exactly", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "m*m*m");
+	app.addComputedColumn("L", "V ^ (1/3)");
+	app.addData({ V: EmalNumber.fromInt(27) });
+
+	expect(app.getColumn("L").unit.toString()).toEqual("m");
+	expect(EmalNumber.equals(app.rows[0].L, EmalNumber.fromInt(3))).toBe(true);
+});
+
+test("converts prefixes in computed columns", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V1", "mL");
+	app.addUserColumn("V2", "L");
+	app.addUserColumn("n", "mmol");
+	app.addComputedColumn("V", "V1 + V2");
+	app.addComputedColumn("r", "log(V1 / V2)");
+	app.addData({ V1: EmalNumber.fromString("20"), V2: EmalNumber.fromString("0.2") });
+
+	expect(app.getColumn("V").unit.toString()).toEqual(app.getColumn("V1").unit.toString());
+	expect(app.rows[0].V.toString()).toEqual("2,20e2");
+	expect(app.rows[0].r.toString()).toEqual("-1,00");
+});
+
+test("converts input values to column units", () => {
+	const app = new EmalManager();
+	app.addUserColumn("V", "mL", "2%");
+	app.addData({ V: "12.5 µL" });
+	app.addData({ V: new Quantity(EmalNumber.fromString("0.5"), Unit.fromString("L")) });
+	app.addData({ V: "3" });
+
+	expect(app.rows.map(row => row.V.value.toString())).toEqual(["1,25e-2", "5,00e2", "3,00"]);
+	expect(app.rows[0].V.absU.toString()).toEqual("2,50e-4");
+
+	expect(() => app.addData({ V: "2 g" })).toThrow("Column \"V\" expects mL, not g");
+	expect(() => app.addData({ V: "mL" })).toThrow("Invalid quantity");
+	expect(app.rows.length).toEqual(3);
+
+	app.addData({ V: "12,5 µL" });
+	expect(app.rows[3].V.value.toString()).toEqual("1,25e-2");
+});
+
+test("handles missing values", () => {
+	const app = new EmalManager();
+	app.addUserColumn("t", "s");
+	app.addUserColumn("x", "m");
+	app.addComputedColumn("v", "x/t");
+	app.addData({ t: EmalNumber.fromInt(1), x: EmalNumber.fromInt(2) });
+	app.addData({ t: EmalNumber.fromInt(2) });
+	app.addData({ t: EmalNumber.fromInt(3), x: NaN });
+	app.addData({ t: EmalNumber.fromInt(4), x: EmalNumber.fromInt(8) });
+	app.addData({ t: MISSING, x: EmalNumber.fromInt(9) });
+
+	expect(app.rows[1].x).toBeUndefined();
+	expect(app.rows[1].v).toBe(MISSING);
+	expect(app.rows[2].x).toBe(MISSING);
+	expect(app.rows[4].v).toBe(MISSING);
+	expect(app.rows[3].v.toString()).toEqual("2,00");
+
+	expect(app.aggregate("x", "count").value.toString()).toEqual("3,00");
+	expect(app.aggregate("v", "mean").value.toString()).toEqual("2,00");
+	expect(app.fit("t", "x", "constant").parameters[0].value.value.toString(1)).toEqual("5,0");
+
+	app.updateData(1, { x: EmalNumber.fromInt(4) });
+	expect(app.rows[1].v.toString()).toEqual("2,00");
+
+	const loaded = EmalManager.fromJSON(JSON.stringify(app));
+	expect(loaded.rows[2].x).toBe(MISSING);
+	expect(loaded.rows[2].v).toBe(MISSING);
+});
+
+test("masks rows and cells", () => {
+	const app = new EmalManager();
+	app.addUserColumn("t", "s");
+	app.addUserColumn("x", "m");
+	app.addComputedColumn("v", "x/t");
+	app.addAggregateConstant("vm", "v", "mean");
+	[[1, 2], [2, 4], [3, 60], [4, 8]].forEach(([t, x]) => {
+		app.addData({ t: EmalNumber.fromInt(t), x: EmalNumber.fromInt(x) });
+	});
+	const events = new Array();
+	app.on("maskChanged", event => events.push([event.index, event.column, event.reason]));
+
+	app.maskCell(2, "x", "saturated");
+	expect(app.getMask(2, "v")).toEqual("saturated");
+	expect(app.isMasked(2, "t")).toBe(false);
+	expect(app.isMasked(2)).toBe(false);
+	expect(app.getConstant("vm").value.toString()).toEqual("2,00");
+	expect(app.aggregate("t", "count").value.toString()).toEqual("4,00");
+
+	app.maskRow(0, "outlier");
+	expect(app.aggregate("t", "count").value.toString()).toEqual("3,00");
+	expect(app.fit("t", "x", "constant").parameters[0].value.value.toString(1)).toEqual("6,0");
+	expect(app.exportTable("csv", { delimiter: ";", columns: ["t", "x"] })).toEqual("t_s;x_m\n2,00;4,00\n3,00;NaN\n4,00;8,00\n");
+
+	app.unmaskCell(2, "x");
+	expect(app.isMasked(2, "v")).toBe(false);
+	app.undo();
+	expect(app.getMask(2, "x")).toEqual("saturated");
+	expect(events).toEqual([[2, "x", "saturated"], [0, undefined, "outlier"], [2, "x", undefined], [2, "x", "saturated"]]);
+
+	expect(() => app.maskRow(9, "outlier")).toThrow("out of range");
+	expect(() => app.maskCell(0, "y", "outlier")).toThrow("Unknown column");
+});
+
+test("keeps masks along with the session", () => {
+	const app = new EmalManager();
+	app.addUserColumn("x", "m");
+	app.addData({ x: EmalNumber.fromInt(1) });
+	app.addData({ x: EmalNumber.fromInt(2) });
+	app.maskRow(0, "outlier");
+	app.maskCell(1, "x", "typo");
+
+	const doc = JSON.parse(JSON.stringify(app));
+	expect(doc.datasets[0].masks).toEqual([{ row: 0, reason: "outlier" }, { row: 1, column: "x", reason: "typo" }]);
+
+	const loaded = EmalManager.fromJSON(doc);
+	expect(loaded.getMask(0)).toEqual("outlier");
+	expect(loaded.getMask(1, "x")).toEqual("typo");
+
+	app.removeData(0);
+	expect(app.getMask(0, "x")).toEqual("typo");
+	app.undo();
+	expect(app.getMask(0)).toEqual("outlier");
+
+	app.renameColumn("x", "y");
+	expect(app.getMask(1, "y")).toEqual("typo");
+	app.removeColumn("y");
+	app.undo();
+	expect(app.getMask(1, "y")).toEqual("typo");
+});
+
+test("manages several datasets", () => {
+	const app = new EmalManager({ dataset: "measurement" });
+	app.addDataset("calibration");
+	expect(() => app.addDataset("calibration")).toThrow("already exists");
+
+	app.useDataset("calibration");
+	app.addUserColumn("c", "mmol/L");
+	app.addUserColumn("A", "1");
+	app.addFitConstants(["k", "A0"], "c", "A", "linear");
+	[["1", "0.12"], ["2", "0.22"], ["3", "0.32"]].forEach(([c, A]) => {
+		app.addData({ c: EmalNumber.fromString(c), A: EmalNumber.fromString(A) });
+	});
+
+	app.useDataset("measurement");
+	app.addUserColumn("A", "1");
+	app.addComputedColumn("c", "(A - A0) / k");
+	app.addAggregateConstant("cm", "c", "mean");
+	app.addData({ A: EmalNumber.fromString("0.27") });
+
+	expect(app.getColumn("c").unit.toString()).toEqual("mmol/L");
+	expect(app.rows[0].c.value.toString(1)).toEqual("2,5");
+	expect(app.withDataset("calibration", () => app.rows.length)).toEqual(3);
+	expect(app.getConstant("k").source.dataset).toEqual("calibration");
+
+	// Constants are shared: their names are checked against all datasets
+	expect(() => app.addConstant("A", "1", "2")).toThrow("Column \"A\" already exists");
+
+	// Data of a dataset updates constants used by the other one
+	app.withDataset("calibration", () => app.addData({ c: EmalNumber.fromString("4"), A: EmalNumber.fromString("0.62") }));
+	expect(app.rows[0].c.value.toNumber()).toBeLessThan(2.5);
+
+	expect(() => app.removeDataset("calibration")).toThrow("used by k, A0");
+	expect(() => app.removeDataset("measurement")).toThrow("current dataset");
+
+	// Operations are undone in their own dataset
+	app.undo();
+	expect(app.withDataset("calibration", () => app.rows.length)).toEqual(3);
+	expect(app.rows[0].c.value.toString(1)).toEqual("2,5");
+
+	const loaded = EmalManager.fromJSON(JSON.stringify(app));
+	expect(loaded.datasets.map(dataset => dataset.name)).toEqual(["measurement", "calibration"]);
+	expect(loaded.dataset.name).toEqual("measurement");
+	expect(loaded.rows[0].c.value.toString(1)).toEqual("2,5");
+});
+
+test("selects another dataset when undoing the creation of the current one", () => {
+	const app = new EmalManager();
+	app.addDataset("cal");
+	app.useDataset("cal");
+	app.addUserColumn("x", "m");
+	app.undo();
+	app.undo();
+
+	expect(app.datasets.map(dataset => dataset.name)).toEqual(["main"]);
+	expect(app.dataset.name).toEqual("main");
+	expect(EmalManager.fromJSON(JSON.stringify(app)).dataset.name).toEqual("main");
+
+	app.redo();
+	expect(app.getDataset("cal")).toBeDefined();
+});
+
+test("rejects cycles across datasets", () => {
+	const app = new EmalManager();
+	app.addUserColumn("x", "m");
+	app.addDataset("other");
+	app.useDataset("other");
+	app.addUserColumn("x", "m");
+	app.addComputedColumn("y", "x + xm");
+	app.addAggregateConstant("ym", "y", "mean");
+	app.useDataset("main");
+	app.addComputedColumn("z", "x + ym");
+
+	expect(() => app.addAggregateConstant("xm", "z", "mean")).toThrow("Cyclic definition of constant \"xm\": xm -> z -> ym -> y -> xm");
+	expect(app.getConstant("xm")).toBeUndefined();
+	expect(() => app.removeDataset("other")).toThrow("used by ym");
+});
+
+test("applies code", () => {
+	const app = new EmalManager();
+	app.addUserColumn("t", "s");
+	app.addUserColumn("d", "m");
+	["1", "2", "3"].forEach(t => app.addData({ t: EmalNumber.fromString(t), d: EmalNumber.fromString(`${2 * t + 1}`) }));
+
+	const code = `# Uniform motion
+	const d0_cm = 50
+	fn speed(x, y) = (x - d0) / y
+	let v_cm/s = speed(d, t)
+	fit a, b = linear(t, d)`;
+
+	app.applyCode(code);
+
+	expect(app.getColumn("v").expression.toString()).toEqual("(d - d0) / t");
+	expect(app.getColumn("v").unit.toString()).toEqual("cm/s");
+	expect(app.rows[0].v.toString()).toEqual("2,50e2");
+	expect(app.getConstant("d0").unit.toString()).toEqual("cm");
+	expect(app.getConstant("a").value.value.toNumber()).toBeCloseTo(2, 1);
+
+	// Applying the same code again does nothing
+	const operationCount = app.history.undoStack.length;
+	app.applyCode(code);
+	expect(app.history.undoStack.length).toEqual(operationCount);
+
+	// Applying code is undone at once
+	app.undo();
+	expect(app.getColumn("v")).toBeUndefined();
+	expect(app.getConstant("a")).toBeUndefined();
+	app.redo();
+
+	app.applyCode(code.replace("50", "100").replace("v_cm/s", "v_m/s"));
+	expect(app.getConstant("d0").value.toString()).toEqual("1,00e2");
+	expect(app.getColumn("v").unit.toString()).toEqual("m/s");
+	expect(app.rows[0].v.toString()).toEqual("2,00");
+
+	app.undo();
+	expect(app.getColumn("v").unit.toString()).toEqual("cm/s");
+
+	const loaded = EmalManager.fromJSON(JSON.stringify(app));
+	expect(loaded.getColumn("v").unit.toString()).toEqual("cm/s");
+	expect(loaded.rows[0].v.toString()).toEqual("2,50e2");
+});
+
+test("rejects invalid code", () => {
+	const app = new EmalManager();
+	app.addUserColumn("t", "s");
+	app.addUserColumn("d", "m");
+
+	expect(() => app.applyCode("let v = d / t\nlet w d")).toThrow("Line 2, column 7: expected '='");
+	expect(() => app.applyCode("let v = d / t\nlet w_kg = d / t")).toThrow("Line 2: Column \"w\" has inconsistent units: declared in kg but computed in m/s");
+	expect(() => app.applyCode("let v = d / t\nlet t = 2 * d")).toThrow("Line 2: Column \"t\" is not computed and cannot be redefined");
+	expect(() => app.applyCode("let v = d / tt")).toThrow("Line 1, column 13: undefined variable tt");
+	expect(() => app.applyCode(new CodeBlock("let v = d / tt"))).toThrow("Line 1: undefined variable tt");
+	expect(() => app.applyCode("fit a, b = linear(t, d)\nlet r = 2 * R2")).toThrow("Line 2: R2 of fits is not available when applying code");
+	expect(app.columns.length).toEqual(2);
+	expect(app.getConstant("a")).toBeUndefined();
+
+	app.addConstant("k", "m", "2");
+	expect(() => app.applyCode("const k_s = 2")).toThrow("Line 1: Constant \"k\" is already expressed in m");
+});
@@ -0,0 +1,63 @@
+/// Emal – Acquire and process scientific data with ease
+/// missing.js – Marker of missing values.
+///
+/// Copyright (C) 2023 Titouan (Stalone) S.
+/// This program is free software: you can redistribute it and/or modify it
+/// under the terms of the GNU Affero General Public License as published by
+/// the Free Software Foundation, version 3.
+///
+/// Acquisitions have gaps: a cell may be missing, for instance when a
+/// measurement failed. Any operation involving a missing value gives a
+/// missing value, so that computed cells depending on it are missing too.
+
+export class Missing {
+	// Missing values take precedence over all other types
+	static TYPE_RANK = 4;
+
+	static from() {
+		return MISSING;
+	}
+
+	static equals(a, b) {
+		return a === b;
+	}
+
+	toString() {
+		return "NaN";
+	}
+
+	static add() {
+		return MISSING;
+	}
+
+	static sub() {
+		return MISSING;
+	}
+
+	static mul() {
+		return MISSING;
+	}
+
+	static div() {
+		return MISSING;
+	}
+
+	static max() {
+		return MISSING;
+	}
+
+	static log10() {
+		return MISSING;
+	}
+
+	static pow() {
+		return MISSING;
+	}
+}
+
+export const MISSING = new Missing();
+
+// Values given as `null` or `NaN` are missing too
+export function isMissing(value) {
+	return value === MISSING || value === null || Number.isNaN(value);
+}
@@ -0,0 +1,23 @@
+import { Missing, MISSING, isMissing } from "./missing.js";
+import { Expression } from "./expression.js";
+import { EmalNumber } from "./number.js";
+import { Quantity } from "./quantity.js";
+import { UncertainValue } from "./uncertainty.js";
+import { Unit } from "./unit.js";
+
+test("recognizes missing values", () => {
+	expect(isMissing(MISSING)).toBe(true);
+	expect(isMissing(null)).toBe(true);
+	expect(isMissing(NaN)).toBe(true);
+	expect(isMissing(EmalNumber.fromInt(0))).toBe(false);
+	expect(MISSING.toString()).toEqual("NaN");
+});
+
+test("propagates missing values in expressions", () => {
+	const a = new Quantity(UncertainValue.fromString("2", "0.1"), Unit.fromString("mL"));
+	const expr = new Expression("max(2 * a; log(b)) + a");
+
+	expect(expr.evaluate({ a, b: MISSING })).toBe(MISSING);
+	expect(Missing.div(EmalNumber.fromInt(1), MISSING)).toBe(MISSING);
+	expect(Missing.pow(MISSING, EmalNumber.fromInt(2))).toBe(MISSING);
+});
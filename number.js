@@ -18,6 +18,10 @@ import { isDigit, isSign, isDecimalPoint } from "./matchers.js";
 const ENUMBER_DEFAULT_DC = 2;
 // Default extra decimals computed for division
 const ENUMBER_DEFAULT_DIV_OFFSET = ENUMBER_DEFAULT_DC;
+// Greatest numerator and denominator of exponents computed exactly; other
+// powers are approximated with floating point numbers
+const ENUMBER_POW_MAX_EXACT_NUM = 1000n;
+const ENUMBER_POW_MAX_EXACT_DEN = 100n;
 
 // Define a start state which defines a local variable and simply returns.
 // This declared local variable is used to construct tokens generically, so 
@@ -40,7 +44,7 @@ function sign(charCode) {
 
 function startIntPart(charCode) {
 	if(!isDigit(charCode)) {
-		return this.nok(charCode);
+		return this.nok("expected digit");
 	}
 
 	this.token({}, `${this.isExponent ? "eI" : "i"}ntPart`);
@@ -143,6 +147,63 @@ function logRestrictTest(x) {
 	return false;
 }
 
+// Integer square root (rounded down) of a BigInt, using Newton's method
+function intSqrt(n) {
+	if(n < 2n) return n;
+
+	let x = n;
+	let y = (x + 1n) / 2n;
+
+	while(y < x) {
+		x = y;
+		y = (x + n / x) / 2n;
+	}
+
+	return x;
+}
+
+// Power approximated with floating point numbers, for exponents p/q too
+// large to be computed exactly
+function approximatePow(a, b, num, den) {
+	if(a.rawInt === 0n) {
+		if(num < 0n) throw new Error(`Cannot raise 0 to negative power ${b.toExactString()}`);
+		return EmalNumber.fromInt(0);
+	}
+
+	// Even roots of negative numbers are not real
+	if(a.isNegative && den % 2n === 0n) {
+		throw new Error(`Cannot raise negative number ${a.toExactString()} to power ${b.toExactString()}`);
+	}
+
+	const result = Math.exp(Number(num) / Number(den) * Math.log(Math.abs(a.toNumber())));
+
+	if(!Number.isFinite(result)) {
+		throw new Error(`Power of ${a.toExactString()} to ${b.toExactString()} is out of range`);
+	}
+
+	return EmalNumber.fromNumber(a.isNegative && num % 2n !== 0n ? -result : result);
+}
+
+// Integer k-th root, rounded down, with Newton's method
+function intRoot(n, k) {
+	if(k === 1n || n < 2n) return n;
+
+	let x = 1n << (BigInt(n.toString(2).length) / k + 1n);
+	let y = ((k - 1n) * x + n / x ** (k - 1n)) / k;
+
+	while(y < x) {
+		x = y;
+		y = ((k - 1n) * x + n / x ** (k - 1n)) / k;
+	}
+
+	return x;
+}
+
+function bigGcd(a, b) {
+	while(b !== 0n) [a, b] = [b, a % b];
+	return a < 0n ? -a : a;
+}
+
 export class EmalNumber {
 	static INV_LN10 = new EmalNumber(43429448190325182765n, 20n);
 
@@ -172,6 +233,13 @@ export class EmalNumber {
 
 	static fromString(numberStr) {
 		const runnerOutput = numberSm.run(numberStr).transform();
+
+		// The whole string must be a number: position is one character
+		// after the end of the input when parsing ended with it.
+		if(runnerOutput.hasThrown() || runnerOutput.position !== numberStr.length + 1) {
+			throw new Error(`Invalid number "${numberStr}"`);
+		}
+
 		return EmalNumber.fromTokens(runnerOutput.tokens);
 	}
 
@@ -179,6 +247,21 @@ export class EmalNumber {
 		return new EmalNumber(BigInt(n), 0n);
 	}
 
+	// Floating point numbers are converted from their shortest decimal
+	// representation.
+	static fromNumber(x) {
+		if(!Number.isFinite(x)) {
+			throw new Error(`Invalid number "${x}"`);
+		}
+
+		return EmalNumber.fromString(x.toString());
+	}
+
+	// Approximation of the number, for floating point computations
+	toNumber() {
+		return Number(this.toExactString());
+	}
+
 	rawLength() {
 		let rawLength = BigInt(this.rawInt.toString(10).length);
 		if(this.isNegative) rawLength--;
@@ -189,6 +272,8 @@ export class EmalNumber {
 	toString(decimalCount) {
 		// Dynamic default argument
 		if(typeof decimalCount !== "number") decimalCount = ENUMBER_DEFAULT_DC;
+		// Zero has no significant digit to start from
+		if(this.rawInt === 0n) return `0,${"0".repeat(decimalCount)}`;
 		// Compute one extra decimal for rounding and one for the
 		// integer part (before comma).
 		const neededLen = BigInt(decimalCount + 2);
@@ -217,6 +302,21 @@ export class EmalNumber {
 		return `${intPart},${floatPart}${exponent !== 0n ? "e".concat(exponent) : ""}`
 	}
 
+	// Lossless representation of the number, which can be parsed back
+	// using `fromString`.
+	toExactString() {
+		const sign = this.isNegative ? "-" : "";
+		const digits = (this.isNegative ? -this.rawInt : this.rawInt).toString(10);
+
+		if(this.decimalPlace < 0n) return `${sign}${digits}e${-this.decimalPlace}`;
+		if(this.decimalPlace === 0n) return `${sign}${digits}`;
+
+		const decimalCount = Number(this.decimalPlace);
+		const paddedDigits = digits.padStart(decimalCount + 1, "0");
+
+		return `${sign}${paddedDigits.slice(0, -decimalCount)}.${paddedDigits.slice(-decimalCount)}`;
+	}
+
 	clone() {
 		return new EmalNumber(this.rawInt, this.decimalPlace);
 	}
@@ -233,6 +333,17 @@ export class EmalNumber {
 		return this;
 	}
 
+	// Numbers are equal when they have the same value, even if they do not
+	// have the same decimal place.
+	static equals(a, b) {
+		const { aInt, bInt } = preprocessOp(a, b);
+		return aInt === bInt;
+	}
+
+	static abs(a) {
+		return new EmalNumber(a.isNegative ? -a.rawInt : a.rawInt, a.decimalPlace);
+	}
+
 	static add(a, b) {
 		const { aInt, bInt, oLen } = preprocessOp(a, b);
 		return new EmalNumber(aInt + bInt, oLen);
@@ -248,16 +359,126 @@ export class EmalNumber {
 		return new EmalNumber(aInt * bInt, oLen * 2n);
 	}
 
-	static div(a, b) {
+	// Dividing arbitrary precision numbers cannot be done with infinite
+	// precision, here the number is cut to `extraDecimals` (by default
+	// ENUMBER_DEFAULT_DIV_OFFSET) digits after the decimal point of the
+	// most precise operand.
+	// Quotients cut to some decimals keep the exact fraction they come
+	// from, so that exponents such as 1/3 are still read as fractions by
+	// `toFraction`.
+	static div(a, b, extraDecimals = ENUMBER_DEFAULT_DIV_OFFSET) {
 		const { aInt, bInt, oLen } = preprocessOp(a, b);
-		// Dividing arbitrary precision numbers cannot be done
-		// with infinite precision, here the number is cut to
-		// ENUMBER_DEFAULT_DIV_OFFSET digits after decimal point.
-		const offset = BigInt(ENUMBER_DEFAULT_DIV_OFFSET) + oLen;
-		return new EmalNumber(aInt * 10n ** offset / bInt, offset);
+		const offset = BigInt(extraDecimals) + oLen;
+		const quotient = new EmalNumber(aInt * 10n ** offset / bInt, offset);
+
+		if(quotient.rawInt * bInt !== aInt * 10n ** offset) {
+			const aFraction = a.toFraction();
+			const bFraction = b.toFraction();
+			const num = aFraction.num * bFraction.den * (bFraction.num < 0n ? -1n : 1n);
+			const den = aFraction.den * (bFraction.num < 0n ? -bFraction.num : bFraction.num);
+			const gcd = bigGcd(num, den);
+
+			quotient.exactFraction = { num: num / gcd, den: den / gcd };
+		}
+
+		return quotient;
+	}
+
+	// Square root, cut in the same way as division
+	static sqrt(x, extraDecimals = ENUMBER_DEFAULT_DIV_OFFSET) {
+		if(x.isNegative) {
+			throw new Error(`Cannot compute square root of negative number ${x.toExactString()}`);
+		}
+
+		const decimalPlace = BigInt(extraDecimals) + (x.decimalPlace > 0n ? x.decimalPlace : 0n);
+		const radicand = x.rawInt * 10n ** (2n * decimalPlace - x.decimalPlace);
+
+		return new EmalNumber(intSqrt(radicand), decimalPlace);
+	}
+
+	// Irreducible fraction num/den (as BigInts, den being positive) equal to
+	// the number, or to the quotient it approximates (see `div`).
+	toFraction() {
+		if(this.exactFraction) return this.exactFraction;
+
+		if(this.decimalPlace <= 0n) {
+			return { num: this.rawInt * 10n ** -this.decimalPlace, den: 1n };
+		}
+
+		const den = 10n ** this.decimalPlace;
+		const gcd = bigGcd(this.rawInt, den);
+
+		return { num: this.rawInt / gcd, den: den / gcd };
+	}
+
+	// Power of a number. Exponents are read as fractions p/q: for small
+	// ones, integer exponents give exact results and the q-th root of a^p
+	// is cut in the same way as division. Other exponents, such as fitted
+	// ones with many digits, would need huge integers: the power is then
+	// approximated as exp(b ln(a)).
+	static pow(a, b, extraDecimals = ENUMBER_DEFAULT_DIV_OFFSET) {
+		const { num, den } = b.toFraction();
+
+		if(den > ENUMBER_POW_MAX_EXACT_DEN || num > ENUMBER_POW_MAX_EXACT_NUM || -num > ENUMBER_POW_MAX_EXACT_NUM) {
+			return approximatePow(a, b, num, den);
+		}
+
+		if(num < 0n) {
+			if(a.rawInt === 0n) {
+				throw new Error(`Cannot raise 0 to negative power ${b.toExactString()}`);
+			}
+
+			const opposite = new EmalNumber(-b.rawInt, b.decimalPlace);
+			if(b.exactFraction) opposite.exactFraction = { num: -num, den };
+
+			const inverse = EmalNumber.pow(a, opposite, extraDecimals);
+			return EmalNumber.div(EmalNumber.fromInt(1), inverse, extraDecimals);
+		}
+
+		if(den === 1n) {
+			return new EmalNumber(a.rawInt ** num, a.decimalPlace * num);
+		}
+
+		// Even roots of negative numbers are not real
+		if(a.isNegative && den % 2n === 0n) {
+			throw new Error(`Cannot raise negative number ${a.toExactString()} to power ${b.toExactString()}`);
+		}
+
+		const absInt = a.isNegative ? -a.rawInt : a.rawInt;
+		const powerPlace = a.decimalPlace * num;
+
+		let decimalPlace = BigInt(extraDecimals) + (a.decimalPlace > 0n ? a.decimalPlace : 0n);
+		if(den * decimalPlace < powerPlace) decimalPlace = (powerPlace + den - 1n) / den;
+
+		const radicand = absInt ** num * 10n ** (den * decimalPlace - powerPlace);
+		const root = intRoot(radicand, den);
+
+		return new EmalNumber(a.isNegative && num % 2n === 1n ? -root : root, decimalPlace);
+	}
+
+	// Compare two numbers: returns -1 if a < b, 0 if they are equal and
+	// 1 if a > b.
+	static compare(a, b) {
+		const { aInt, bInt } = preprocessOp(a, b);
+
+		if(aInt < bInt) return -1;
+		if(aInt > bInt) return 1;
+		return 0;
+	}
+
+	static min(a, b) {
+		return EmalNumber.compare(a, b) <= 0 ? a : b;
+	}
+
+	static max(a, b) {
+		return EmalNumber.compare(a, b) >= 0 ? a : b;
 	}
 
 	static log10(initialX) {
+		if(initialX.isNegative || initialX.rawInt === 0n) {
+			throw new Error(`Cannot compute logarithm of non-positive number ${initialX.toExactString()}`);
+		}
+
 		// Argument reduction: returns a number starting with 7, 8, 9, 10, 11,
 		// 12 or 13.
 		let x = initialX.clone();
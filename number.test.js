@@ -65,4 +65,88 @@ test("log numbers", () => {
 
 	expect(EmalNumber.log10(x).toString()).toEqual("3,62e-1");
 	expect(EmalNumber.log10(y).toString()).toEqual("-6,05e-2");
+	expect(() => EmalNumber.log10(EmalNumber.fromInt(0))).toThrow("non-positive");
+	expect(() => EmalNumber.log10(EmalNumber.fromInt(-2))).toThrow("non-positive");
+});
+
+test("serializes numbers exactly", () => {
+	expect(EmalNumber.fromString("9.440").toExactString()).toEqual("9.440");
+	expect(EmalNumber.fromString("-4.5e-3").toExactString()).toEqual("-0.0045");
+	expect(new EmalNumber(25n, -3n).toExactString()).toEqual("25e3");
+	expect(EmalNumber.fromString("12").toExactString()).toEqual("12.0");
+});
+
+test("rejects invalid numbers", () => {
+	expect(() => EmalNumber.fromString("abc")).toThrow("Invalid number \"abc\"");
+	expect(() => EmalNumber.fromString("12abc")).toThrow("Invalid number");
+	expect(() => EmalNumber.fromString("")).toThrow("Invalid number");
+	expect(() => EmalNumber.fromString("1e")).toThrow("Invalid number");
+});
+
+test("serializes zero", () => {
+	expect(EmalNumber.fromString("0.0").toString()).toEqual("0,00");
+	expect(EmalNumber.fromInt(0).toString(1)).toEqual("0,0");
+});
+
+test("divides numbers with given precision", () => {
+	const a = EmalNumber.fromInt(1);
+	const b = EmalNumber.fromInt(3);
+
+	expect(EmalNumber.div(a, b).toExactString()).toEqual("0.33");
+	expect(EmalNumber.div(a, b, 6).toExactString()).toEqual("0.333333");
+});
+
+test("square roots numbers", () => {
+	expect(EmalNumber.sqrt(EmalNumber.fromInt(2)).toExactString()).toEqual("1.41");
+	expect(EmalNumber.sqrt(EmalNumber.fromString("1.44e-4"), 0).toExactString()).toEqual("0.012000");
+	expect(EmalNumber.sqrt(new EmalNumber(9n, -4n)).toString()).toEqual("3,00e2");
+	expect(() => EmalNumber.sqrt(EmalNumber.fromInt(-1))).toThrow("negative");
+});
+
+test("raises numbers to powers", () => {
+	expect(EmalNumber.pow(EmalNumber.fromString("1.5"), EmalNumber.fromInt(3)).toExactString()).toEqual("3.375");
+	expect(EmalNumber.pow(EmalNumber.fromInt(-2), EmalNumber.fromInt(3)).toExactString()).toEqual("-8");
+	expect(EmalNumber.pow(EmalNumber.fromInt(4), EmalNumber.fromInt(-2)).toExactString()).toEqual("0.06");
+	expect(EmalNumber.pow(EmalNumber.fromInt(2), EmalNumber.fromString("0.5")).toExactString()).toEqual("1.41");
+	expect(EmalNumber.pow(EmalNumber.fromString("1e-4"), EmalNumber.fromString("0.5"), 0).toExactString()).toEqual("0.01000");
+	expect(EmalNumber.pow(EmalNumber.fromInt(-32), EmalNumber.fromString("0.2")).toExactString()).toEqual("-2.00");
+	expect(() => EmalNumber.pow(EmalNumber.fromInt(-1), EmalNumber.fromString("0.5"))).toThrow("negative");
+	expect(() => EmalNumber.pow(EmalNumber.fromInt(0), EmalNumber.fromInt(-1))).toThrow("Cannot raise 0");
+});
+
+test("raises numbers to quotients as exact fractions", () => {
+	const third = EmalNumber.div(EmalNumber.fromInt(1), EmalNumber.fromInt(3));
+
+	expect(third.toFraction()).toEqual({ num: 1n, den: 3n });
+	expect(EmalNumber.pow(EmalNumber.fromInt(27), third).toExactString()).toEqual("3.00");
+	expect(EmalNumber.pow(EmalNumber.fromInt(8), EmalNumber.div(EmalNumber.fromInt(-2), EmalNumber.fromInt(3))).toExactString()).toEqual("0.2500");
+	expect(EmalNumber.div(EmalNumber.fromInt(1), EmalNumber.fromInt(4)).toFraction()).toEqual({ num: 1n, den: 4n });
+});
+
+test("approximates powers with many-digit exponents", () => {
+	const a = EmalNumber.fromString("8.5");
+
+	expect(EmalNumber.pow(a, EmalNumber.fromString("0.12345")).toNumber()).toBeCloseTo(8.5 ** 0.12345, 12);
+	expect(EmalNumber.pow(a, EmalNumber.fromString("1.0000001")).toNumber()).toBeCloseTo(8.5000018, 6);
+	expect(EmalNumber.pow(a, EmalNumber.fromString("-1.2345678901234567")).toNumber()).toBeCloseTo(8.5 ** -1.2345678901234567, 12);
+	expect(EmalNumber.pow(EmalNumber.fromInt(-2), EmalNumber.fromInt(1001)).isNegative).toBe(true);
+	expect(() => EmalNumber.pow(EmalNumber.fromInt(-2), EmalNumber.fromString("0.12345"))).toThrow("negative");
+	expect(() => EmalNumber.pow(EmalNumber.fromInt(10), EmalNumber.fromInt(5000))).toThrow("out of range");
+});
+
+test("compares numbers", () => {
+	const a = EmalNumber.fromString("1.5");
+	const b = EmalNumber.fromString("1.50");
+	const c = EmalNumber.fromString("-2");
+
+	expect(EmalNumber.compare(a, b)).toEqual(0);
+	expect(EmalNumber.compare(c, a)).toEqual(-1);
+	expect(EmalNumber.max(a, c)).toBe(a);
+	expect(EmalNumber.min(a, c)).toBe(c);
+});
+
+test("converts floating point numbers", () => {
+	expect(EmalNumber.fromNumber(1.5e-7).toExactString()).toEqual("0.00000015");
+	expect(EmalNumber.fromNumber(-3.25).toNumber()).toEqual(-3.25);
+	expect(() => EmalNumber.fromNumber(NaN)).toThrow("Invalid number");
 });
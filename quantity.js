@@ -0,0 +1,173 @@
+/// Emal – Acquire and process scientific data with ease
+/// quantity.js – Values associated with their unit.
+///
+/// Copyright (C) 2023 Titouan (Stalone) S.
+/// This program is free software: you can redistribute it and/or modify it
+/// under the terms of the GNU Affero General Public License as published by
+/// the Free Software Foundation, version 3.
+///
+/// A quantity is a value (exact number or uncertain value) expressed in
+/// an unit. Quantities are used whenever a value leaves the table it
+/// belongs to, so that its unit is not lost.
+/// Operations on quantities check their units: added quantities must have
+/// the same dimension, and are converted to the unit of the first one.
+
+import { EmalNumber } from "./number.js";
+import { UncertainValue } from "./uncertainty.js";
+import { Unit } from "./unit.js";
+
+// Greatest decimal count of ratios between multipliers which are not
+// exact decimal numbers
+const EQUANTITY_RATIO_MAX_DECIMALS = 20n;
+
+// Exact ratio between multipliers of units. Multipliers, such as prefixes,
+// are exactly given by their shortest decimal representation, and their
+// ratios are exact decimal numbers too.
+function multiplierRatio(from, to) {
+	const a = EmalNumber.fromNumber(from).toFraction();
+	const b = EmalNumber.fromNumber(to).toFraction();
+	const den = a.den * b.num;
+
+	let num = a.num * b.den;
+	let decimalPlace = 0n;
+
+	while(num % den !== 0n && decimalPlace < EQUANTITY_RATIO_MAX_DECIMALS) {
+		num *= 10n;
+		decimalPlace++;
+	}
+
+	return new EmalNumber(num / den, decimalPlace);
+}
+
+// Uncertain values take precedence over exact numbers
+function valuesType(...values) {
+	return values.some(value => value instanceof UncertainValue) ? UncertainValue : EmalNumber;
+}
+
+export class Quantity {
+	// Quantities take precedence over units, values and numbers
+	static TYPE_RANK = 3;
+
+	constructor(value, unit) {
+		this.value = value;
+		this.unit = unit;
+	}
+
+	// Numbers found in expressions are dimensionless quantities
+	static from(x) {
+		if(x instanceof Quantity) return x;
+
+		return new Quantity(x, new Unit(1, 1, 1));
+	}
+
+	// Parse a number followed by an unit, such as "12.5 µL" or "12,5 µL".
+	// The default unit is used when none is given.
+	static fromString(quantityStr, defaultUnit = new Unit(1, 1, 1)) {
+		const match = quantityStr.trim().match(/^([+-]?[0-9.,]+(?:[eE][+-]?[0-9]+)?)\s*(.*)$/);
+
+		if(!match) {
+			throw new Error(`Invalid quantity "${quantityStr}"`);
+		}
+
+		const [, valueStr, unitStr] = match;
+		const unit = unitStr ? Unit.fromString(unitStr) : defaultUnit;
+
+		return new Quantity(EmalNumber.fromString(valueStr), unit);
+	}
+
+	// Express the quantity in another unit of same dimension
+	convertTo(unit) {
+		Unit.checkSameDimension(this.unit, unit);
+
+		if(this.unit.multiplier === unit.multiplier) return new Quantity(this.value, unit);
+
+		const ratio = multiplierRatio(this.unit.multiplier, unit.multiplier);
+		const value = valuesType(this.value).mul(this.value, ratio);
+		return new Quantity(value, unit);
+	}
+
+	toString(decimalCount) {
+		const unitStr = this.unit.toString();
+		const valueStr = this.value instanceof UncertainValue
+			? `${this.value.value.clone().toString(decimalCount)} ± ${this.value.absU.clone().toString(decimalCount)}`
+			: this.value.clone().toString(decimalCount);
+
+		return unitStr === "1" ? valueStr : `${valueStr} ${unitStr}`;
+	}
+
+	static add(a, b) {
+		a = Quantity.from(a);
+		b = Quantity.from(b);
+
+		const unit = Unit.add(a.unit, b.unit);
+		const bValue = b.convertTo(unit).value;
+
+		return new Quantity(valuesType(a.value, bValue).add(a.value, bValue), unit);
+	}
+
+	static sub(a, b) {
+		a = Quantity.from(a);
+		b = Quantity.from(b);
+
+		const unit = Unit.sub(a.unit, b.unit);
+		const bValue = b.convertTo(unit).value;
+
+		return new Quantity(valuesType(a.value, bValue).sub(a.value, bValue), unit);
+	}
+
+	static mul(a, b) {
+		a = Quantity.from(a);
+		b = Quantity.from(b);
+
+		const value = valuesType(a.value, b.value).mul(a.value, b.value);
+		return new Quantity(value, Unit.mul(a.unit, b.unit));
+	}
+
+	static div(a, b) {
+		a = Quantity.from(a);
+		b = Quantity.from(b);
+
+		const value = valuesType(a.value, b.value).div(a.value, b.value);
+		return new Quantity(value, Unit.div(a.unit, b.unit));
+	}
+
+	static max(a, b) {
+		a = Quantity.from(a);
+		b = Quantity.from(b);
+
+		const unit = Unit.max(a.unit, b.unit);
+		const bValue = b.convertTo(unit).value;
+
+		return new Quantity(valuesType(a.value, bValue).max(a.value, bValue), unit);
+	}
+
+	static log10(a) {
+		a = Quantity.from(a);
+
+		const unit = Unit.log10(a.unit);
+		const { value } = a.convertTo(unit);
+
+		return new Quantity(valuesType(value).log10(value), unit);
+	}
+
+	// Exponents are dimensionless. They must be exact when the base has a
+	// dimension, which could not depend on an uncertain value.
+	static pow(a, b) {
+		a = Quantity.from(a);
+		b = Quantity.from(b);
+
+		const { value: exponent } = b.convertTo(new Unit(1, 1, 1));
+		let unitExponent = exponent;
+
+		if(exponent instanceof UncertainValue) {
+			if(!EmalNumber.equals(exponent.absU, EmalNumber.fromInt(0)) && !Unit.equals(a.unit, new Unit(1, 1, 1))) {
+				throw new Error(`Exponent of unit ${a.unit.toString()} must be exact`);
+			}
+
+			unitExponent = exponent.value;
+		}
+
+		const value = valuesType(a.value, exponent).pow(a.value, exponent);
+		return new Quantity(value, Unit.pow(a.unit, unitExponent));
+	}
+}
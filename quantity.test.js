@@ -0,0 +1,59 @@
+import { Quantity } from "./quantity.js";
+import { EmalNumber } from "./number.js";
+import { UncertainValue } from "./uncertainty.js";
+import { Unit } from "./unit.js";
+
+function quantity(valueStr, unitStr) {
+	return new Quantity(EmalNumber.fromString(valueStr), Unit.fromString(unitStr));
+}
+
+test("converts quantities", () => {
+	expect(quantity("250", "mL").convertTo(Unit.fromString("L")).toString()).toEqual("2,50e-1 L");
+	expect(() => quantity("1", "mL").convertTo(Unit.fromString("g"))).toThrow("Incompatible units");
+	expect(quantity("3", "µmol").convertTo(Unit.fromString("nmol")).value.toExactString()).toEqual("3000.00");
+	expect(quantity("3", "mmol").convertTo(Unit.fromString("kmol")).value.toExactString()).toEqual("0.000003000000");
+});
+
+test("adds quantities with different prefixes", () => {
+	expect(Quantity.add(quantity("20", "mL"), quantity("0.2", "L")).toString()).toEqual("2,20e2 mL");
+	expect(Quantity.sub(quantity("1", "L"), quantity("200", "mL")).toString()).toEqual("8,00e-1 L");
+	expect(Quantity.max(quantity("1", "L"), quantity("2000", "mL")).toString()).toEqual("2,00 L");
+	expect(() => Quantity.add(quantity("1", "L"), quantity("1", "g"))).toThrow("Incompatible units L and g");
+});
+
+test("multiplies quantities", () => {
+	const n = new Quantity(UncertainValue.fromString("2", "0.1"), Unit.fromString("mmol"));
+	const c = Quantity.div(n, quantity("4", "mL"));
+
+	expect(Unit.equals(c.unit, Unit.fromString("mol/L"))).toBe(true);
+	expect(c.value.value.toString()).toEqual("5,00e-1");
+	expect(Quantity.mul(c, EmalNumber.fromInt(2)).value.value.toString()).toEqual("1,00");
+});
+
+test("takes logarithm of dimensionless quantities", () => {
+	const ratio = Quantity.div(quantity("10", "mL"), quantity("1", "L"));
+
+	expect(Quantity.log10(ratio).toString()).toEqual("-2,00");
+	expect(() => Quantity.log10(quantity("1", "L"))).toThrow("non-dimensionless");
+});
+
+test("raises quantities to powers", () => {
+	const side = new Quantity(UncertainValue.fromString("3", "0.1"), Unit.fromString("cm"));
+	const volume = Quantity.pow(side, EmalNumber.fromInt(3));
+
+	expect(Unit.sameDimension(volume.unit, Unit.fromString("m^3"))).toBe(true);
+	expect(volume.convertTo(Unit.fromString("m^3")).value.value.toString()).toEqual("2,70e-5");
+	expect(Quantity.pow(quantity("9", "m*m"), quantity("0.5", "1")).toString()).toEqual("3,00 m");
+	expect(() => Quantity.pow(quantity("2", "m"), quantity("1", "s"))).toThrow("Incompatible units");
+	expect(() => Quantity.pow(quantity("2", "m"), new Quantity(UncertainValue.fromString("2", "0.1"), Unit.fromString("1")))).toThrow("must be exact");
+});
+
+test("parses quantities", () => {
+	expect(Quantity.fromString(" 12.5 µL").toString()).toEqual("1,25e1 µL");
+	expect(Quantity.fromString("12,5 µL").toString()).toEqual("1,25e1 µL");
+	expect(Quantity.fromString("1,5e-3").toString()).toEqual("1,50e-3");
+	expect(Quantity.fromString("-1e-3 m/s").toString()).toEqual("-1,00e-3 m/s");
+	expect(Quantity.fromString("3").toString()).toEqual("3,00");
+	expect(Quantity.fromString("3", Unit.fromString("g")).toString()).toEqual("3,00 g");
+	expect(() => Quantity.fromString("µL")).toThrow("Invalid quantity");
+});
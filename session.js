@@ -0,0 +1,96 @@
+/// Emal – Acquire and process scientific data with ease
+/// session.js – Serialization format of Emal sessions.
+///
+/// Copyright (C) 2023 Titouan (Stalone) S.
+/// This program is free software: you can redistribute it and/or modify it
+/// under the terms of the GNU Affero General Public License as published by
+/// the Free Software Foundation, version 3.
+///
+/// A session is a JSON document describing columns, constants and user
+/// data of a manager. Computed values are not stored, as they are derived
+/// again on load. Numbers are stored as strings of their raw integer and
+/// decimal place, so that no precision is lost.
+/// Documents are versioned: older documents are migrated step by step up
+/// to the current version when loaded.
+
+import { MISSING } from "./missing.js";
+import { EmalNumber } from "./number.js";
+import { UncertainValue } from "./uncertainty.js";
+
+export const SESSION_FORMAT = "emal-session";
+export const SESSION_VERSION = 3;
+
+// Each migration transforms a document of the given version into a
+// document of the next version.
+const SESSION_MIGRATIONS = {
+	// Version 2 adds masks of rows and cells
+	1: doc => Object.assign({}, doc, { version: 2, masks: [] }),
+	// Version 3 gathers columns, rows and masks into named datasets
+	2: doc => ({
+		format: doc.format,
+		version: 3,
+		constants: doc.constants.map(constant => {
+			if(!constant.source) return constant;
+			return Object.assign({}, constant, { source: Object.assign({ dataset: "main" }, constant.source) });
+		}),
+		datasets: [{ name: "main", columns: doc.columns, rows: doc.rows, masks: doc.masks }],
+		dataset: "main",
+	}),
+};
+
+export function encodeValue(value) {
+	if(value instanceof UncertainValue) {
+		return {
+			type: "uncertain",
+			value: encodeValue(value.value),
+			absU: encodeValue(value.absU),
+		};
+	}
+
+	if(value === MISSING) {
+		return { type: "missing" };
+	}
+
+	if(value instanceof EmalNumber) {
+		return {
+			type: "number",
+			rawInt: value.rawInt.toString(10),
+			decimalPlace: value.decimalPlace.toString(10),
+		};
+	}
+
+	throw new Error(`Cannot serialize value ${value}`);
+}
+
+export function decodeValue(encoded) {
+	switch(encoded.type) {
+		case "uncertain":
+			return new UncertainValue(decodeValue(encoded.value), decodeValue(encoded.absU));
+
+		case "number":
+			return new EmalNumber(BigInt(encoded.rawInt), BigInt(encoded.decimalPlace));
+
+		case "missing":
+			return MISSING;
+	}
+
+	throw new Error(`Unknown value type "${encoded.type}"`);
+}
+
+export function migrateSession(doc) {
+	if(!doc || doc.format !== SESSION_FORMAT) {
+		throw new Error("Document is not an Emal session");
+	}
+
+	if(!Number.isInteger(doc.version) || doc.version < 1 || doc.version > SESSION_VERSION) {
+		throw new Error(`Unsupported session version ${doc.version}`);
+	}
+
+	let migratedDoc = doc;
+
+	while(migratedDoc.version < SESSION_VERSION) {
+		migratedDoc = SESSION_MIGRATIONS[migratedDoc.version](migratedDoc);
+	}
+
+	return migratedDoc;
+}
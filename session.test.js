@@ -0,0 +1,36 @@
+import { MISSING } from "./missing.js";
+import { EmalNumber } from "./number.js";
+import { UncertainValue } from "./uncertainty.js";
+import { encodeValue, decodeValue, migrateSession } from "./session.js";
+
+test("encodes values losslessly", () => {
+	const n = EmalNumber.fromString("123456789012345678901234567890.123456789");
+	const u = UncertainValue.fromString("-4.5e-30", "1e-31");
+
+	expect(decodeValue(JSON.parse(JSON.stringify(encodeValue(n))))).toEqual(n);
+	expect(decodeValue(JSON.parse(JSON.stringify(encodeValue(u))))).toEqual(u);
+});
+
+test("rejects unknown documents", () => {
+	expect(() => migrateSession({ format: "other", version: 1 })).toThrow("not an Emal session");
+	expect(() => migrateSession({ format: "emal-session", version: 99 })).toThrow("Unsupported session version 99");
+});
+
+test("encodes missing values", () => {
+	expect(encodeValue(MISSING)).toEqual({ type: "missing" });
+	expect(decodeValue({ type: "missing" })).toBe(MISSING);
+});
+
+test("migrates older sessions", () => {
+	const doc = migrateSession({
+		format: "emal-session",
+		version: 1,
+		columns: [{ name: "V", unit: "mL" }],
+		constants: [{ name: "Vm", source: { type: "aggregate", columns: ["V"], aggregate: "mean" } }],
+		rows: [],
+	});
+
+	expect(doc.version).toEqual(3);
+	expect(doc.datasets).toEqual([{ name: "main", columns: [{ name: "V", unit: "mL" }], rows: [], masks: [] }]);
+	expect(doc.constants[0].source.dataset).toEqual("main");
+});
@@ -10,6 +10,9 @@
 /// into tokens.
 /// This process is needed at multiple places in the project, so a global
 /// unified implementation is used.
+/// When a machine fails, its error gives the position of the character
+/// which could not be parsed, along with a message describing what was
+/// expected instead.
 
 const MS = {
 	WAITING: 0,
@@ -46,6 +49,7 @@ export class StateMachine {
 
 		let currentToken = -1;
 		this.currentState = MS.RUNNING;
+		this.error = undefined;
 
 		// Declare utility states and functions
 		function token(context, tokenName) {
@@ -94,13 +98,18 @@ export class StateMachine {
 			return end;
 		}
 
-		function nok() {
+		function nok(message = "unexpected character") {
 			globalThis.currentState = MS.ERROR;
+			globalThis.error = { position: globalThis.position, message };
 			return nok;
 		}
 
+		function position() {
+			return globalThis.position;
+		}
+
 		// Fake context is made of utilities and user-defined states
-		let _this = { token, delegate, eat, mutate, eaten, end, nok };
+		let _this = { token, delegate, eat, mutate, eaten, end, nok, position };
 		Object.assign(_this, this.states);
 
 		let parsingState = this.states[this.startState];
@@ -116,6 +125,7 @@ export class StateMachine {
 			// Force loop to end (on error) after end of input
 			if(this.position >= input.length && this.currentState === MS.RUNNING) {
 				this.currentState = MS.ERROR;
+				this.error = { position: input.length, message: "unexpected end of input" };
 				break;
 			}
 		}
@@ -0,0 +1,122 @@
+/// Emal – Acquire and process scientific data with ease
+/// stats.js – Statistics on series of values.
+///
+/// Copyright (C) 2023 Titouan (Stalone) S.
+/// This program is free software: you can redistribute it and/or modify it
+/// under the terms of the GNU Affero General Public License as published by
+/// the Free Software Foundation, version 3.
+///
+/// Aggregates reduce a series of cells (exact numbers or uncertain values)
+/// to a single value. Only the weighted mean uses the uncertainties of the
+/// cells; other aggregates work on their values.
+/// Divisions are done with extra precision, as series can be long.
+
+import { EmalNumber } from "./number.js";
+import { UncertainValue } from "./uncertainty.js";
+import { Unit } from "./unit.js";
+
+const ESTATS_DIV_OFFSET = 12;
+
+function valueOf(cell) {
+	return cell instanceof UncertainValue ? cell.value : cell;
+}
+
+function checkNotEmpty(cells, aggregateName, minLength = 1) {
+	if(cells.length < minLength) {
+		throw new Error(`Cannot compute ${aggregateName} of less than ${minLength} value(s)`);
+	}
+}
+
+function sum(values) {
+	return values.reduce((acc, value) => EmalNumber.add(acc, value), EmalNumber.fromInt(0));
+}
+
+export function count(cells) {
+	return EmalNumber.fromInt(cells.length);
+}
+
+export function mean(cells) {
+	checkNotEmpty(cells, "mean");
+
+	return EmalNumber.div(sum(cells.map(valueOf)), count(cells), ESTATS_DIV_OFFSET);
+}
+
+// Sample standard deviation, with Bessel's correction (n - 1)
+export function stdDev(cells) {
+	checkNotEmpty(cells, "standard deviation", 2);
+
+	const average = mean(cells);
+	const squares = cells.map(cell => {
+		const delta = EmalNumber.sub(valueOf(cell), average);
+		return EmalNumber.mul(delta, delta);
+	});
+	const variance = EmalNumber.div(sum(squares), EmalNumber.fromInt(cells.length - 1), ESTATS_DIV_OFFSET);
+
+	return EmalNumber.sqrt(variance, ESTATS_DIV_OFFSET);
+}
+
+// Standard error of the mean
+export function sem(cells) {
+	const rootCount = EmalNumber.sqrt(count(cells), ESTATS_DIV_OFFSET);
+	return EmalNumber.div(stdDev(cells), rootCount, ESTATS_DIV_OFFSET);
+}
+
+// Mean weighted by the inverse of squared uncertainties, its uncertainty
+// is the inverse square root of the sum of weights.
+export function weightedMean(cells) {
+	checkNotEmpty(cells, "weighted mean");
+
+	const weights = cells.map(cell => {
+		if(!(cell instanceof UncertainValue) || cell.absU.rawInt === 0n) {
+			throw new Error("Cannot compute weighted mean of values without uncertainty");
+		}
+
+		return EmalNumber.div(EmalNumber.fromInt(1), EmalNumber.mul(cell.absU, cell.absU), ESTATS_DIV_OFFSET);
+	});
+
+	const weightSum = sum(weights);
+	const weightedSum = sum(cells.map((cell, i) => EmalNumber.mul(cell.value, weights[i])));
+
+	const value = EmalNumber.div(weightedSum, weightSum, ESTATS_DIV_OFFSET);
+	const absU = EmalNumber.div(EmalNumber.fromInt(1), EmalNumber.sqrt(weightSum, ESTATS_DIV_OFFSET), ESTATS_DIV_OFFSET);
+
+	return new UncertainValue(value, absU);
+}
+
+// Extrema keep the uncertainty of the selected cell
+export function min(cells) {
+	checkNotEmpty(cells, "minimum");
+
+	return cells.reduce((acc, cell) => EmalNumber.compare(valueOf(cell), valueOf(acc)) < 0 ? cell : acc);
+}
+
+export function max(cells) {
+	checkNotEmpty(cells, "maximum");
+
+	return cells.reduce((acc, cell) => EmalNumber.compare(valueOf(cell), valueOf(acc)) > 0 ? cell : acc);
+}
+
+export const AGGREGATES = {
+	count,
+	mean,
+	stdDev,
+	sem,
+	weightedMean,
+	min,
+	max,
+};
+
+export function aggregate(aggregateName, cells) {
+	if(!(aggregateName in AGGREGATES)) {
+		throw new Error(`Unknown aggregate "${aggregateName}"`);
+	}
+
+	return AGGREGATES[aggregateName](cells);
+}
+
+// Unit of an aggregate of values expressed in the given unit
+export function aggregateUnit(aggregateName, unit) {
+	if(aggregateName === "count") return new Unit(1, 1, 1);
+
+	return unit;
+}
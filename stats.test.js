@@ -0,0 +1,40 @@
+import { EmalNumber } from "./number.js";
+import { UncertainValue } from "./uncertainty.js";
+import { count, mean, stdDev, sem, weightedMean, min, max, aggregate } from "./stats.js";
+
+const cells = ["2", "4", "4", "4", "5", "5", "7", "9"].map(str => EmalNumber.fromString(str));
+
+test("counts and averages values", () => {
+	expect(count(cells).toString()).toEqual("8,00");
+	expect(mean(cells).toString()).toEqual("5,00");
+	expect(() => mean([])).toThrow("Cannot compute mean");
+});
+
+test("computes dispersion", () => {
+	expect(stdDev(cells).toString(4)).toEqual("2,1381");
+	expect(sem(cells).toString(4)).toEqual("7,5593e-1");
+	expect(() => stdDev(cells.slice(0, 1))).toThrow("less than 2");
+});
+
+test("computes weighted mean", () => {
+	const uncertainCells = [
+		UncertainValue.fromString("10", "1"),
+		UncertainValue.fromString("12", "2"),
+	];
+
+	const result = weightedMean(uncertainCells);
+	expect(result.value.toString()).toEqual("1,04e1");
+	expect(result.absU.toString()).toEqual("8,94e-1");
+	expect(() => weightedMean(cells)).toThrow("without uncertainty");
+});
+
+test("finds extrema", () => {
+	const uncertainCells = [
+		UncertainValue.fromString("10", "1"),
+		UncertainValue.fromString("-12", "2"),
+	];
+
+	expect(min(uncertainCells)).toBe(uncertainCells[1]);
+	expect(max(cells).toString()).toEqual("9,00");
+	expect(() => aggregate("median", cells)).toThrow("Unknown aggregate");
+});
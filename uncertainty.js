@@ -14,11 +14,21 @@
 import { EmalNumber } from "./number.js";
 
 export class UncertainValue {
+	// Uncertain values take precedence over exact numbers in expressions
+	static TYPE_RANK = 1;
+
 	constructor(value, absU) {
 		this.value = value;
 		this.absU = absU;
 	}
 
+	// Exact numbers are uncertain values with a null uncertainty
+	static from(x) {
+		if(x instanceof UncertainValue) return x;
+
+		return new UncertainValue(x, EmalNumber.fromInt(0));
+	}
+
 	static fromString(valueStr, absUStr) {
 		const value = EmalNumber.fromString(valueStr);
 		const absU = EmalNumber.fromString(absUStr);
@@ -26,7 +36,17 @@ export class UncertainValue {
 		return new UncertainValue(value, absU);
 	}
 
+	static equals(a, b) {
+		a = UncertainValue.from(a);
+		b = UncertainValue.from(b);
+
+		return EmalNumber.equals(a.value, b.value) && EmalNumber.equals(a.absU, b.absU);
+	}
+
 	static add(a, b) {
+		a = UncertainValue.from(a);
+		b = UncertainValue.from(b);
+
 		// Delegate to Number
 		const value = EmalNumber.add(a.value, b.value);
 		const absU = EmalNumber.add(a.absU, b.absU);
@@ -34,10 +54,14 @@ export class UncertainValue {
 		return new UncertainValue(value, absU);
 	}
 
+	// Uncertainties always add up, even on subtraction
 	static sub(a, b) {
+		a = UncertainValue.from(a);
+		b = UncertainValue.from(b);
+
 		// Delegate to Number
 		const value = EmalNumber.sub(a.value, b.value);
-		const absU = EmalNumber.sub(a.absU, b.absU);
+		const absU = EmalNumber.add(a.absU, b.absU);
 
 		return new UncertainValue(value, absU);
 	}
@@ -46,31 +70,78 @@ export class UncertainValue {
 	// and division is done by differential method - that is to say,
 	// by adding relative uncertainties, in accordance to all other
 	// propagations done in Emal.
+	// Relative uncertainties are multiplied back by the values so that
+	// null values (such as exact zeroes) do not need to be divided by.
 	static mul(a, b) {
-		const aRelU = EmalNumber.div(a.absU, a.value);
-		const bRelU = EmalNumber.div(b.absU, b.value);
-		const cRelU = EmalNumber.add(aRelU, bRelU);
+		a = UncertainValue.from(a);
+		b = UncertainValue.from(b);
 
+		// u(ab) = |b| u(a) + |a| u(b)
 		const value = EmalNumber.mul(a.value, b.value);
-		const cAbsU = EmalNumber.mul(cRelU, value);
+		const cAbsU = EmalNumber.add(
+			EmalNumber.mul(EmalNumber.abs(b.value), a.absU),
+			EmalNumber.mul(EmalNumber.abs(a.value), b.absU),
+		);
 
 		return new UncertainValue(value, cAbsU);
 	}
 
 	static div(a, b) {
-		const aRelU = EmalNumber.div(a.absU, a.value);
-		const bRelU = EmalNumber.div(b.absU, b.value);
-		const cRelU = EmalNumber.add(aRelU, bRelU);
+		a = UncertainValue.from(a);
+		b = UncertainValue.from(b);
 
+		// u(a/b) = (u(a) + |a/b| u(b)) / |b|
 		const value = EmalNumber.div(a.value, b.value);
-		const cAbsU = EmalNumber.mul(cRelU, value);
+		const cAbsU = EmalNumber.div(
+			EmalNumber.add(a.absU, EmalNumber.mul(EmalNumber.abs(value), b.absU)),
+			EmalNumber.abs(b.value),
+		);
+
+		return new UncertainValue(value, cAbsU);
+	}
+
+	static pow(a, b) {
+		a = UncertainValue.from(a);
+		b = UncertainValue.from(b);
+
+		// u(a^b) = |b a^(b-1)| u(a) + |a^b ln(a)| u(b): the relative
+		// uncertainty of a is multiplied by |b|
+		const value = EmalNumber.pow(a.value, b.value);
+		let cAbsU = EmalNumber.fromInt(0);
+
+		if(!EmalNumber.equals(a.absU, cAbsU)) {
+			const derivative = EmalNumber.mul(
+				b.value,
+				EmalNumber.pow(a.value, EmalNumber.sub(b.value, EmalNumber.fromInt(1))),
+			);
+			cAbsU = EmalNumber.mul(EmalNumber.abs(derivative), a.absU);
+		}
+
+		if(!EmalNumber.equals(b.absU, EmalNumber.fromInt(0))) {
+			if(a.value.isNegative || a.value.rawInt === 0n) {
+				throw new Error(`Cannot propagate uncertainty of exponent with base ${a.value.toExactString()}`);
+			}
+
+			const ln = EmalNumber.div(EmalNumber.log10(a.value), EmalNumber.INV_LN10);
+			cAbsU = EmalNumber.add(cAbsU, EmalNumber.mul(EmalNumber.abs(EmalNumber.mul(value, ln)), b.absU));
+		}
 
 		return new UncertainValue(value, cAbsU);
 	}
 
+	// Greatest value, along with its own uncertainty
+	static max(a, b) {
+		a = UncertainValue.from(a);
+		b = UncertainValue.from(b);
+
+		return EmalNumber.compare(a.value, b.value) >= 0 ? a : b;
+	}
+
 	static log10(a) {
+		a = UncertainValue.from(a);
+
 		const value = EmalNumber.log10(a.value);
-		const relU = EmalNumber.div(a.absU, a.value);
+		const relU = EmalNumber.div(a.absU, EmalNumber.abs(a.value));
 		const logAbsU = EmalNumber.mul(relU, EmalNumber.INV_LN10);
 
 		return new UncertainValue(value, logAbsU);
@@ -1,4 +1,5 @@
 import { UncertainValue } from "./uncertainty.js";
+import { EmalNumber } from "./number.js";
 
 test("can add values", () => {
 	const l1 = UncertainValue.fromString("2.05", "0.1");
@@ -25,3 +26,47 @@ test("can log values", () => {
 	expect(pH.value.toString()).toEqual("4,14e-2");
 	expect(pH.absU.toString()).toEqual("3,91e-2");
 });
+
+test("can raise values to powers", () => {
+	const r = UncertainValue.fromString("2.0", "0.1");
+
+	// Relative uncertainty is multiplied by the exponent
+	const area = UncertainValue.pow(r, EmalNumber.fromInt(2));
+	expect(area.value.toString()).toEqual("4,00");
+	expect(area.absU.toString()).toEqual("4,00e-1");
+
+	const root = UncertainValue.pow(UncertainValue.fromString("4", "0.4"), EmalNumber.fromString("0.5"));
+	expect(root.value.toString()).toEqual("2,00");
+	expect(root.absU.toString()).toEqual("1,00e-1");
+
+	const growth = UncertainValue.pow(EmalNumber.fromInt(2), UncertainValue.fromString("3", "0.1"));
+	expect(growth.value.toString()).toEqual("8,00");
+	expect(growth.absU.toString()).toEqual("5,55e-1");
+});
+
+test("can mix with exact numbers", () => {
+	const l = UncertainValue.fromString("2.05", "0.1");
+	const n = EmalNumber.fromString("3");
+
+	const a = UncertainValue.add(n, l);
+	expect(a.value.toString()).toEqual("5,05");
+	expect(a.absU.toString()).toEqual("1,00e-1");
+});
+
+test("can subtract values", () => {
+	const l1 = UncertainValue.fromString("15.1", "1");
+	const l2 = UncertainValue.fromString("2.05", "0.1");
+
+	const l = UncertainValue.sub(l1, l2);
+	expect(l.value.toString()).toEqual("1,31e1");
+	expect(l.absU.toString()).toEqual("1,10");
+});
+
+test("can multiply values", () => {
+	const U = UncertainValue.fromString("-2", "0.1");
+	const I = UncertainValue.fromString("0", "0.5");
+
+	const P = UncertainValue.mul(U, I);
+	expect(P.value.rawInt).toEqual(0n);
+	expect(P.absU.toString()).toEqual("1,00");
+});
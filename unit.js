@@ -76,6 +76,26 @@ function findGcd(a, b) {
 	return b ? findGcd(b, a % b) : a;
 }
 
+// Raise a part of an unit identifier to the power p/q, with p positive:
+// each base unit exponent is multiplied by p/q, which gives NaN if some of
+// them are not multiples of q.
+function powIdPart(idPart, p, q) {
+	let result = 1;
+
+	Object.values(BASE_UNITS).forEach(id => {
+		let exponent = 0;
+
+		while(idPart % id === 0) {
+			idPart /= id;
+			exponent++;
+		}
+
+		result *= exponent * p % q === 0 ? id ** (exponent * p / q) : NaN;
+	});
+
+	return result;
+}
+
 // Search name of an unit fragment with the following priority:
 // first, search for a base unit, then for a derived unit and
 // finally for an unit with prefix.
@@ -98,6 +118,9 @@ function interpretFragment(unitString, multiplier = 1) {
 }
 
 export class Unit {
+	// Units take precedence over numbers, which are dimensionless
+	static TYPE_RANK = 2;
+
 	// Constructs an unit from raw identifiers for numerator and denominator
 	// and from a multiplier.
 	constructor(num, den, multiplier) {
@@ -106,6 +129,13 @@ export class Unit {
 		this.multiplier = multiplier;
 	}
 
+	// Numbers found in expressions are considered dimensionless
+	static from(x) {
+		if(x instanceof Unit) return x;
+
+		return new Unit(1, 1, 1);
+	}
+
 	static fromString(unitStr) {
 		const expr = new Expression(unitStr);
 		const usedUnits = expr.tokens.reduce((acc, tok) => {
@@ -113,7 +143,8 @@ export class Unit {
 			return acc;
 		}, {});
 
-		const result = expr.evaluate(usedUnits);
+		// Numbers alone (such as "1") are dimensionless units
+		const result = Unit.from(expr.evaluate(usedUnits));
 		result.userName = unitStr;
 
 		return result;
@@ -206,16 +237,60 @@ export class Unit {
 		return currentUnit;
 	}
 
-	// Expect consistent units: the result is the unit of a and b
+	// Units are equal when they have the same dimension and multiplier,
+	// whatever their names.
+	static equals(a, b) {
+		a = Unit.from(a);
+		b = Unit.from(b);
+
+		return Unit.sameDimension(a, b) && a.multiplier === b.multiplier;
+	}
+
+	// Units of same dimension may only differ by their multiplier, such
+	// as mL and L.
+	static sameDimension(a, b) {
+		a = Unit.from(a);
+		b = Unit.from(b);
+
+		return a.id.num * b.id.den === b.id.num * a.id.den;
+	}
+
+	static checkSameDimension(a, b) {
+		if(!Unit.sameDimension(a, b)) {
+			throw new Error(`Incompatible units ${Unit.from(a).toString()} and ${Unit.from(b).toString()}`);
+		}
+	}
+
+	// Operands must have the same dimension: the result is expressed in
+	// the unit of a, values of b being converted (see quantity.js).
 	static add(a, b) {
+		a = Unit.from(a);
+		b = Unit.from(b);
+		Unit.checkSameDimension(a, b);
+
 		return new Unit(a.id.num, a.id.den, a.multiplier);
 	}
 
 	static sub(a, b) {
+		a = Unit.from(a);
+		b = Unit.from(b);
+		Unit.checkSameDimension(a, b);
+
+		return new Unit(a.id.num, a.id.den, a.multiplier);
+	}
+
+	static max(a, b) {
+		a = Unit.from(a);
+		b = Unit.from(b);
+		Unit.checkSameDimension(a, b);
+
 		return new Unit(a.id.num, a.id.den, a.multiplier);
 	}
 
 	static mul(a, b) {
+		a = Unit.from(a);
+		b = Unit.from(b);
+
 		const num = a.id.num * b.id.num;
 		const den = a.id.den * b.id.den;
 		const multiplier = a.multiplier * b.multiplier;
@@ -224,6 +299,9 @@ export class Unit {
 	}
 
 	static div(a, b) {
+		a = Unit.from(a);
+		b = Unit.from(b);
+
 		const num = a.id.num * b.id.den;
 		const den = a.id.den * b.id.num;
 		const multiplier = a.multiplier / b.multiplier;
@@ -231,8 +309,53 @@ export class Unit {
 		return new Unit(num, den, multiplier);
 	}
 
+	// Exponents are numbers, read as fractions p/q: units with dimensions
+	// can only be raised to them if their base units have exponents that
+	// are multiples of q, such as the square root of m². Exponents given
+	// by units have an unknown value, so they only apply to units without
+	// dimension nor multiplier.
+	static pow(a, b) {
+		a = Unit.from(a);
+
+		if(b instanceof Unit) {
+			if(!Unit.sameDimension(b, new Unit(1, 1, 1))) {
+				throw new Error(`Exponent of non-dimensionless unit ${b.toString()}`);
+			}
+
+			if(!Unit.equals(a, new Unit(1, 1, 1))) {
+				throw new Error(`Exponent of unit ${a.toString()} must be a number`);
+			}
+
+			return new Unit(1, 1, 1);
+		}
+
+		const { num, den } = b.toFraction();
+		const p = Number(num < 0n ? -num : num);
+		const q = Number(den);
+
+		const unit = new Unit(a.id.num, a.id.den, a.multiplier);
+		unit.reduceId();
+
+		const powNum = powIdPart(unit.id.num, p, q);
+		const powDen = powIdPart(unit.id.den, p, q);
+
+		if(isNaN(powNum) || isNaN(powDen)) {
+			throw new Error(`Cannot raise unit ${a.toString()} to power ${b.toExactString()}`);
+		}
+
+		const multiplier = a.multiplier ** (Number(num) / q);
+		return num < 0n ? new Unit(powDen, powNum, multiplier) : new Unit(powNum, powDen, multiplier);
+	}
+
+	// Only dimensionless values have a logarithm. Their multiplier is
+	// applied to the value before (see quantity.js).
 	static log10(a) {
-		// TODO: handle case where multiplier is not unitary
+		a = Unit.from(a);
+
+		if(!Unit.sameDimension(a, new Unit(1, 1, 1))) {
+			throw new Error(`Logarithm of non-dimensionless unit ${a.toString()}`);
+		}
+
 		return new Unit(1, 1, 1);
 	}
 }
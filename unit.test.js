@@ -1,4 +1,5 @@
 import { Unit } from "./unit.js";
+import { EmalNumber } from "./number.js";
 
 test("divides unit", () => {
 	const mL = new Unit(19, 1, 0.001);
@@ -17,3 +18,42 @@ test("creates from string", () => {
 	const unit = Unit.fromString("mmol/mL")
 	expect(unit.toString()).toEqual("mmol/mL");
 });
+
+test("considers numbers dimensionless", () => {
+	const unit = Unit.fromString("m/s/s");
+	const result = Unit.div(Unit.mul(unit, new EmalNumber(1n, 0n)), new EmalNumber(2n, 0n));
+
+	expect(result.toString()).toEqual("m/(s·s)");
+});
+
+test("creates dimensionless unit from string", () => {
+	const unit = Unit.fromString("1");
+	expect(unit).toBeInstanceOf(Unit);
+	expect(unit.toString()).toEqual("1");
+});
+
+test("compares units", () => {
+	expect(Unit.equals(Unit.fromString("J"), Unit.fromString("N*m"))).toBe(true);
+	expect(Unit.equals(Unit.fromString("mL"), Unit.fromString("L"))).toBe(false);
+});
+
+test("checks dimensions of additions", () => {
+	const mL = Unit.fromString("mL");
+	const L = Unit.fromString("L");
+
+	expect(Unit.add(mL, L).multiplier).toEqual(mL.multiplier);
+	expect(() => Unit.sub(mL, Unit.fromString("mol"))).toThrow("Incompatible units mL and mol");
+	expect(() => Unit.log10(mL)).toThrow("non-dimensionless");
+	expect(Unit.log10(Unit.div(mL, L)).toString()).toEqual("1");
+});
+
+test("raises units to powers", () => {
+	expect(Unit.equals(Unit.fromString("m^2"), Unit.fromString("m*m"))).toBe(true);
+	expect(Unit.equals(Unit.fromString("m^3/m"), Unit.fromString("m*m"))).toBe(true);
+	expect(Unit.equals(Unit.pow(Unit.fromString("km/s"), EmalNumber.fromInt(-2)), Unit.fromString("s*s/(km*km)"))).toBe(true);
+	expect(Unit.pow(Unit.fromString("m*m/(s*s)"), EmalNumber.fromString("0.5")).toString()).toEqual("m/s");
+	expect(() => Unit.pow(Unit.fromString("m"), EmalNumber.fromString("0.5"))).toThrow("Cannot raise unit m to power 0.5");
+	expect(() => Unit.pow(Unit.fromString("m"), Unit.fromString("1"))).toThrow("must be a number");
+	expect(() => Unit.pow(Unit.fromString("1"), Unit.fromString("mL"))).toThrow("Exponent of non-dimensionless unit mL");
+	expect(Unit.pow(Unit.fromString("1"), Unit.div(Unit.fromString("mL"), Unit.fromString("L"))).toString()).toEqual("1");
+});